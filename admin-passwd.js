@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/*
+ * Manage admin credentials for remote-admin.js
+ *
+ * Usage:
+ *   node admin-passwd.js user <name> [password]   # Add or change a user (prompts if no password)
+ *   node admin-passwd.js token <name>             # Create an API token (printed once)
+ *   node admin-passwd.js remove <name>            # Remove a user or token
+ *   node admin-passwd.js list                     # List users and tokens
+ *
+ * The file defaults to ./admin-credentials.json (RA_ADMIN_AUTH_CREDENTIALS_FILE overrides).
+ */
+
+import readline from "readline";
+import {
+  generateToken,
+  hashPassword,
+  hashToken,
+  loadCredentials,
+  saveCredentials,
+} from "./lib/admin-auth.js";
+
+const CREDENTIALS_FILE = process.env.RA_ADMIN_AUTH_CREDENTIALS_FILE || "./admin-credentials.json";
+
+function usage() {
+  console.log("Usage: node admin-passwd.js <user <name> [password] | token <name> | remove <name> | list>");
+  process.exit(1);
+}
+
+function prompt(question) {
+  const rl = readline.createInterface(process.stdin, process.stdout);
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [action, name, password] = process.argv.slice(2);
+  const credentials = loadCredentials(CREDENTIALS_FILE) || { users: {}, tokens: {} };
+
+  switch (action) {
+    case "user": {
+      if (!name) usage();
+      const secret = password || (await prompt(`Password for ${name}: `));
+      if (!secret) {
+        console.error("Password must not be empty");
+        process.exit(1);
+      }
+      credentials.users[name] = hashPassword(secret);
+      saveCredentials(CREDENTIALS_FILE, credentials);
+      console.log(`User ${name} saved to ${CREDENTIALS_FILE}`);
+      break;
+    }
+    case "token": {
+      if (!name) usage();
+      const token = generateToken();
+      credentials.tokens[name] = hashToken(token);
+      saveCredentials(CREDENTIALS_FILE, credentials);
+      console.log(`Token ${name} saved to ${CREDENTIALS_FILE}. It will not be shown again:`);
+      console.log(token);
+      break;
+    }
+    case "remove": {
+      if (!name) usage();
+      const found = name in credentials.users || name in credentials.tokens;
+      delete credentials.users[name];
+      delete credentials.tokens[name];
+      if (!found) {
+        console.error(`No user or token named ${name}`);
+        process.exit(1);
+      }
+      saveCredentials(CREDENTIALS_FILE, credentials);
+      console.log(`Removed ${name}`);
+      break;
+    }
+    case "list":
+      Object.keys(credentials.users).forEach((user) => console.log(`user  ${user}`));
+      Object.keys(credentials.tokens).forEach((token) => console.log(`token ${token}`));
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
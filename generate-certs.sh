@@ -1,9 +1,19 @@
 #!/bin/bash
-# Generate self-signed TLS certificates for the remote server
+# Generate TLS certificates for the remote server
+#
+# Without options a self-signed server certificate is created. With --ca a
+# local CA is created (if missing) and signs the server certificate; with
+# --client MAC a device certificate for mutual TLS is issued by that CA.
 
 TLS_DIR="./tls"
 KEY_FILE="$TLS_DIR/server.key"
 CRT_FILE="$TLS_DIR/server.crt"
+CA_KEY_FILE="$TLS_DIR/ca.key"
+CA_CRT_FILE="$TLS_DIR/ca.crt"
+CLIENT_DIR="$TLS_DIR/clients"
+
+USE_CA=false
+CLIENT_MACS=()
 
 # Default subject values
 SUBJ_C="${TLS_CERT_C:-TW}"
@@ -25,6 +35,9 @@ while [[ $# -gt 0 ]]; do
     --org=*) SUBJ_O="${1#*=}"; shift ;;
     -cn|--common-name) SUBJ_CN="$2"; shift 2 ;;
     --common-name=*) SUBJ_CN="${1#*=}"; shift ;;
+    --ca) USE_CA=true; shift ;;
+    --client) CLIENT_MACS+=("$2"); shift 2 ;;
+    --client=*) CLIENT_MACS+=("${1#*=}"); shift ;;
     -h|--help)
       echo "Usage: $0 [OPTIONS]"
       echo ""
@@ -34,6 +47,8 @@ while [[ $# -gt 0 ]]; do
       echo "  -l, --locality NAME     Locality/City (default: Taipei)"
       echo "  -o, --org NAME          Organization (default: Ingics)"
       echo "  -cn, --common-name NAME Common Name/CN (default: localhost)"
+      echo "  --ca                    Create a local CA (if missing) and sign the server cert with it"
+      echo "  --client MAC            Issue a device client cert signed by the local CA (repeatable)"
       echo ""
       echo "Environment variables:"
       echo "  TLS_CERT_C, TLS_CERT_ST, TLS_CERT_L, TLS_CERT_O, TLS_CERT_CN"
@@ -47,17 +62,71 @@ SUBJ="/C=$SUBJ_C/ST=$SUBJ_ST/L=$SUBJ_L/O=$SUBJ_O/CN=$SUBJ_CN"
 # Create tls directory if it doesn't exist
 mkdir -p "$TLS_DIR"
 
-# Generate private key and self-signed certificate
-openssl req -x509 -nodes -days 365 -newkey rsa:2048 \
-  -keyout "$KEY_FILE" \
-  -out "$CRT_FILE" \
-  -subj "$SUBJ"
+# Create the local CA used for mutual TLS
+create_ca() {
+  if [[ -f "$CA_KEY_FILE" && -f "$CA_CRT_FILE" ]]; then
+    echo "Using existing CA: $CA_CRT_FILE"
+    return
+  fi
+  openssl req -x509 -nodes -days 3650 -newkey rsa:2048 \
+    -keyout "$CA_KEY_FILE" \
+    -out "$CA_CRT_FILE" \
+    -subj "/C=$SUBJ_C/ST=$SUBJ_ST/L=$SUBJ_L/O=$SUBJ_O/CN=$SUBJ_O Remote Admin CA"
+}
+
+# Issue a certificate signed by the local CA: sign_cert <key> <crt> <subject> <extensions>
+sign_cert() {
+  local csr_file="$2.csr"
+  openssl req -nodes -newkey rsa:2048 -keyout "$1" -out "$csr_file" -subj "$3"
+  openssl x509 -req -days 365 -in "$csr_file" \
+    -CA "$CA_CRT_FILE" -CAkey "$CA_KEY_FILE" -CAcreateserial \
+    -out "$2" -extfile <(printf "%s\n" "$4")
+  rm -f "$csr_file"
+}
+
+# Device certificates only: CN is the MAC, SAN carries it without separators
+if [[ ${#CLIENT_MACS[@]} -gt 0 ]]; then
+  if [[ ! -f "$CA_KEY_FILE" ]]; then
+    echo "No CA found at $CA_KEY_FILE, run $0 --ca first"
+    exit 1
+  fi
+  mkdir -p "$CLIENT_DIR"
+  for MAC in "${CLIENT_MACS[@]}"; do
+    NAME=$(echo "$MAC" | tr -d ':-' | tr '[:lower:]' '[:upper:]')
+    sign_cert "$CLIENT_DIR/$NAME.key" "$CLIENT_DIR/$NAME.crt" \
+      "/C=$SUBJ_C/ST=$SUBJ_ST/L=$SUBJ_L/O=$SUBJ_O/CN=$MAC" \
+      "subjectAltName=DNS:$NAME
+extendedKeyUsage=clientAuth"
+    echo ""
+    echo "Client key:  $CLIENT_DIR/$NAME.key"
+    echo "Client cert: $CLIENT_DIR/$NAME.crt"
+    openssl x509 -in "$CLIENT_DIR/$NAME.crt" -noout -dates -subject
+  done
+  exit 0
+fi
+
+if $USE_CA; then
+  # Server certificate signed by the local CA
+  create_ca
+  sign_cert "$KEY_FILE" "$CRT_FILE" "$SUBJ" \
+    "subjectAltName=DNS:$SUBJ_CN
+extendedKeyUsage=serverAuth"
+else
+  # Generate private key and self-signed certificate
+  openssl req -x509 -nodes -days 365 -newkey rsa:2048 \
+    -keyout "$KEY_FILE" \
+    -out "$CRT_FILE" \
+    -subj "$SUBJ"
+fi
 
 echo ""
 echo "=== Generated certificates ==="
 echo ""
 echo "Key:  $KEY_FILE"
 echo "Cert: $CRT_FILE"
+if $USE_CA; then
+  echo "CA:   $CA_CRT_FILE"
+fi
 echo ""
 echo "=== Certificate Details ==="
 openssl x509 -in "$CRT_FILE" -noout -dates -subject
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/*
+ * Admin Authentication
+ *
+ * Credentials live in a local JSON file managed with admin-passwd.js:
+ *
+ *   {
+ *     "users":  { "alice": "scrypt$<salt>$<hash>" },
+ *     "tokens": { "ci-bot": "sha256$<hash>" }
+ *   }
+ *
+ * Passwords are hashed with scrypt; API tokens are random and long, so a
+ * plain SHA-256 is enough to keep them out of the file.
+ */
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password for storage in the credentials file
+export function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Hash an API token for storage in the credentials file
+export function hashToken(token) {
+  return `sha256$${crypto.createHash("sha256").update(token).digest("hex")}`;
+}
+
+// Generate a new random API token
+export function generateToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// Check a password against its stored scrypt hash
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+// Read the credentials file; returns null if it does not exist
+export function loadCredentials(path) {
+  let content;
+  try {
+    content = fs.readFileSync(path, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+
+  const data = JSON.parse(content);
+  return {
+    users: data.users || {},
+    tokens: data.tokens || {},
+  };
+}
+
+// Write the credentials file, readable by the owner only
+export function saveCredentials(path, credentials) {
+  fs.writeFileSync(path, JSON.stringify(credentials, null, 2) + "\n", {
+    mode: 0o600,
+  });
+}
+
+// Create the login checker used by admin connections.
+// Failed attempts are counted per remote address and per username; either
+// reaching maxFailures locks further attempts out for lockoutTime ms.
+// A missing credentials file is an error unless disabled turns logins off.
+export function createAdminAuthenticator({
+  credentialsPath,
+  disabled = false,
+  maxFailures,
+  lockoutTime,
+  onError = () => {},
+}) {
+  let credentials = disabled ? null : loadCredentials(credentialsPath);
+  let loadedMtime = mtimeOf(credentialsPath);
+  const enabled = !disabled;
+  if (enabled && credentials === null) {
+    throw new Error(
+      `Admin credentials file ${credentialsPath} not found (create it with admin-passwd.js, or set ADMIN_AUTH.DISABLED to run without login)`,
+    );
+  }
+  const failures = new Map(); // key -> { count, lockedUntil }
+
+  function mtimeOf(path) {
+    try {
+      return fs.statSync(path).mtimeMs;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  // Pick up users and tokens changed while the server is running.
+  // A file that disappears denies everyone; one that fails to parse is ignored.
+  function refresh() {
+    const mtime = mtimeOf(credentialsPath);
+    if (mtime === loadedMtime) return;
+    try {
+      credentials = loadCredentials(credentialsPath) || { users: {}, tokens: {} };
+      loadedMtime = mtime;
+    } catch (e) {
+      onError(e);
+    }
+  }
+
+  function isLocked(key) {
+    const entry = failures.get(key);
+    if (!entry || !entry.lockedUntil) return false;
+    if (Date.now() < entry.lockedUntil) return true;
+    failures.delete(key); // Lockout expired
+    return false;
+  }
+
+  function recordFailure(key) {
+    const entry = failures.get(key) || { count: 0, lockedUntil: 0 };
+    entry.count++;
+    if (entry.count >= maxFailures) {
+      entry.lockedUntil = Date.now() + lockoutTime;
+    }
+    failures.set(key, entry);
+    return entry.lockedUntil > 0;
+  }
+
+  // Verify a login attempt from addr.
+  // Returns { identity } on success, { error, locked } on failure.
+  function authenticate(addr, { user, password, token }) {
+    const keys = [`addr:${addr}`];
+    if (user) keys.push(`user:${user}`);
+
+    if (keys.some(isLocked)) {
+      return { error: "too many failed attempts, try again later", locked: true };
+    }
+
+    refresh();
+
+    let identity = null;
+    if (token !== undefined) {
+      const hash = hashToken(token);
+      const name = Object.keys(credentials.tokens).find(
+        (key) => credentials.tokens[key] === hash,
+      );
+      if (name) identity = `token:${name}`;
+    } else if (user && Object.prototype.hasOwnProperty.call(credentials.users, user)) {
+      if (verifyPassword(password || "", credentials.users[user])) {
+        identity = user;
+      }
+    }
+
+    if (identity) {
+      keys.forEach((key) => failures.delete(key));
+      return { identity };
+    }
+
+    const locked = keys.map(recordFailure).some(Boolean);
+    return { error: "invalid credentials", locked };
+  }
+
+  return {
+    enabled, // False only when authentication is explicitly disabled
+    authenticate,
+  };
+}
@@ -0,0 +1,77 @@
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Command Queue
+ *
+ * Holds commands for devices that are offline, by MAC, until the device
+ * identifies itself again. Every entry expires after `expiry` ms; expired
+ * entries are handed back separately so they can be reported, never sent.
+ * The queue is kept in memory only.
+ */
+
+export function createCommandQueue({ expiry, maxPerDevice }) {
+  const queues = new Map(); // Normalized MAC -> [entry], oldest first
+  let nextId = 1;
+
+  // Queue a command; throws when the device's queue is full
+  function add(mac, cmd, owner = null) {
+    const key = normalizeMac(mac);
+    const queue = queues.get(key) || [];
+    if (maxPerDevice && queue.length >= maxPerDevice) {
+      throw new Error(`Queue for ${key} is full (${maxPerDevice} commands)`);
+    }
+    const now = Date.now();
+    const entry = {
+      id: nextId++,
+      mac: key,
+      cmd,
+      owner,
+      queued: new Date(now).toISOString(),
+      expires: new Date(now + expiry).toISOString(),
+    };
+    queue.push(entry);
+    queues.set(key, queue);
+    return entry;
+  }
+
+  // Remove and return a device's commands: { due, expired }
+  function take(mac) {
+    const key = normalizeMac(mac);
+    const queue = queues.get(key) || [];
+    queues.delete(key);
+    const now = Date.now();
+    return {
+      due: queue.filter((entry) => Date.parse(entry.expires) > now),
+      expired: queue.filter((entry) => Date.parse(entry.expires) <= now),
+    };
+  }
+
+  // Drop expired entries; returns them
+  function prune() {
+    const now = Date.now();
+    const expired = [];
+    queues.forEach((queue, key) => {
+      const kept = queue.filter((entry) => Date.parse(entry.expires) > now);
+      expired.push(...queue.filter((entry) => Date.parse(entry.expires) <= now));
+      if (kept.length) queues.set(key, kept);
+      else queues.delete(key);
+    });
+    return expired;
+  }
+
+  // Entries of one device, or of all devices when mac is null, oldest first
+  function list(mac = null) {
+    if (mac !== null) return [...(queues.get(normalizeMac(mac)) || [])];
+    return [...queues.values()].flat().sort((a, b) => a.id - b.id);
+  }
+
+  // Remove the entries of one device, or all of them; returns the number removed
+  function clear(mac = null) {
+    const removed = list(mac).length;
+    if (mac === null) queues.clear();
+    else queues.delete(normalizeMac(mac));
+    return removed;
+  }
+
+  return { add, take, prune, list, clear };
+}
@@ -0,0 +1,441 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+/*
+ * Configuration Loader
+ *
+ * Builds the runtime configuration from, in increasing precedence:
+ *
+ *   1. Built-in defaults (DEFAULTS below)
+ *   2. A JSON or YAML config file (--config <file> or RA_CONFIG)
+ *   3. Environment variables (RA_<SECTION>_<KEY>, plus the legacy names below)
+ *   4. Command-line flags (--<section>-<key>=<value>)
+ *
+ * The config file mirrors the CONFIG object, e.g. { "PORTS": { "RC": 5000 } }.
+ * Every value is validated and errors name the offending key and its source.
+ */
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+export const DEFAULTS = {
+  PORTS: {
+    RC: 5000, // Remote control port
+    ADMIN: 5001, // Admin port
+    RC_TLS: 5040, // Remote control TLS port
+    ADMIN_TLS: 5041, // Admin TLS port
+    HTTP: 8080, // REST API port
+  },
+  BIND: {
+    // Listen address per listener; null listens on all interfaces
+    RC: null,
+    ADMIN: null,
+    RC_TLS: null,
+    ADMIN_TLS: null,
+    HTTP: null,
+  },
+  LISTENERS: {
+    // Which listeners to start
+    RC: true,
+    ADMIN: true,
+    RC_TLS: true,
+    ADMIN_TLS: true,
+    HTTP: false, // REST API, off unless enabled
+  },
+  HTTP: {
+    TLS: false, // Serve the REST API over HTTPS with the TLS key and cert
+    DASHBOARD: true, // Serve the browser dashboard at / (WebSocket updates on /ws)
+    ALLOWED_ORIGINS: [], // Other page origins (e.g. "https://ops.example.com") allowed to open /ws
+    METRICS: false, // Serve Prometheus metrics at /metrics
+  },
+  TIMEOUTS: {
+    LOGIN_VALIDATION: 5000, // Login validation timeout (ms)
+    KEEP_ALIVE: 120 * 1000, // Keep-alive timeout (ms)
+    DEVICE_IDLE: 0, // Close a device connection after this long without traffic (ms, 0 = never)
+    ADMIN_IDLE: 0, // Close an admin connection after this long without traffic (ms, 0 = never)
+  },
+  HEARTBEAT: {
+    // Probe identified devices that have gone quiet; any line counts as an answer
+    INTERVAL: 0, // Check devices this often (ms, 0 = off)
+    COMMAND: "SYS", // Probe sent to a device that sent nothing since the last check
+    STALE_AFTER: 1, // Unanswered probes before a session is marked [STALE]
+    DROP_AFTER: 3, // Unanswered probes before the connection is closed (0 = never)
+  },
+  LIMITS: {
+    MAX_LINE_LENGTH: 4096, // Longest device line accepted before truncation (chars)
+    MAX_SESSIONS: 2000, // Device connections beyond this are refused (0 = no limit)
+    MAX_UNIDENTIFIED: 200, // Sessions still waiting for a MAC beyond this are refused (0 = no limit)
+    MAX_LINE_RATE: 0, // Lines per second and session; the rest are dropped (0 = no limit)
+    RECENT_LINES: 20, // Last lines kept per session for "show"
+  },
+  FLOOD: {
+    // Device connections per address; refusals are summarized as [FLOOD]
+    CONNECTIONS_PER_IP: 20, // Connections within WINDOW before the address is banned (0 = no limit)
+    WINDOW: 10 * 1000, // (ms)
+    BAN_TIME: 5 * 60 * 1000, // How long a ban lasts (ms); "bans clear" lifts it early
+    EXEMPT: ["127.0.0.1", "::1"], // Addresses never banned (local simulators)
+    SUMMARY_INTERVAL: 10 * 1000, // Report refused connections and dropped lines this often (ms)
+  },
+  COMMAND_RESPONSE: {
+    TERMINATOR: /^RESULT:/, // Device line that ends a command reply
+    QUIET_PERIOD: 1000, // Reply is complete after this long without a new line (ms)
+    TIMEOUT: 10 * 1000, // Give up waiting for a reply after this long (ms)
+  },
+  SESSION_DEFAULTS: {
+    STATUS: "connect",
+    TOKEN: "NA",
+    MAC: "NA",
+    TRACE: "NA",
+    FW_VER: "NA",
+    BLE_MAC: "NA",
+    WIFI_MAC: "NA",
+    WLAN_FW_VER: "NA",
+  },
+  TLS: {
+    // Loaded only when a TLS listener is enabled
+    KEY_PATH: "./tls/server.key",
+    CERT_PATH: "./tls/server.crt",
+    EXPIRY_WARNING_DAYS: 30, // Warn admins when the certificate expires within this
+  },
+  SHUTDOWN: {
+    // SIGTERM/SIGINT: stop accepting, then give devices this long to disconnect
+    DEADLINE: 5000, // (ms)
+    COMMAND: null, // Sent to every device first, e.g. a reconnect command; null sends nothing
+  },
+  ADMIN_AUTH: {
+    // Admin logins are checked against this file (see admin-passwd.js); start() fails without it
+    CREDENTIALS_FILE: "./admin-credentials.json",
+    DISABLED: false, // Run without admin login; every admin connection is trusted
+    MAX_FAILURES: 5, // Failed logins per address or user before lockout
+    LOCKOUT: 5 * 60 * 1000, // Lockout duration (ms)
+  },
+  DEVICE_AUTH: {
+    // Optional checks applied when a device announces its MAC (see lib/device-policy.js)
+    ALLOWLIST_FILE: null,
+    DENYLIST_FILE: null,
+    SECRETS_FILE: null,
+    SECRET_MODE: "challenge", // "challenge" (HMAC of nonce) or "token" (plain secret)
+    POLICY_MODULES: [],
+  },
+  TAGS: {
+    // Device groups by MAC ("tag" command, "@group" targets); null keeps them in memory
+    FILE: "./data/tags.json",
+  },
+  SCHEDULER: {
+    // Scheduled admin commands ("schedule" command); null keeps them in memory
+    FILE: "./data/schedules.json",
+  },
+  QUEUE: {
+    // Commands queued for offline devices ("queue", "cmd --queue"), kept in memory
+    EXPIRY: 24 * 60 * 60 * 1000, // Drop a queued command not delivered within this (ms)
+    MAX_PER_DEVICE: 20, // Queued commands per MAC; 0 for no limit
+  },
+  ROLLOUT: {
+    // Staged firmware upgrades ("rollout" command)
+    COMMAND: "SYS OTA {version}", // Upgrade command; {version}, {mac} and {id} are filled in
+    WAVE_SIZE: "10%", // Devices per wave: a count or a percentage of the rollout
+    TIMEOUT: 10 * 60 * 1000, // A device must report the new version within this (ms)
+    MAX_FAILURES: 0, // Halt the rollout once more devices than this have failed
+  },
+  DUPLICATE_MAC: {
+    // When a MAC connects while another session has it: "replace" closes the old
+    // session, "reject" refuses the new one, "keep" keeps both flagged as [DUP]
+    POLICY: "replace",
+  },
+  DEVICE_LOGS: {
+    // Device lines captured to <DIR>/<MAC>/<date>.log; toggled at runtime with "capture"
+    DIR: "./logs",
+    CAPTURE: false, // Capture all identified devices from startup
+    MAX_SIZE: 10 * 1024 * 1024, // Rotate and compress a file at this size (bytes)
+    MAX_AGE_DAYS: 14, // Delete files not written for this long; 0 keeps everything
+  },
+  MQTT: {
+    // Bridge device lines and commands to an MQTT broker when URL is set
+    URL: null, // e.g. mqtt://localhost:1883 or mqtts://broker:8883
+    USERNAME: null,
+    PASSWORD: null,
+    CLIENT_ID: null, // Generated by the MQTT client when unset
+    TOPIC_PREFIX: "igs",
+    QOS: 0,
+  },
+  HISTORY: {
+    // Session events and admin commands, one JSON object per line; null disables
+    FILE: "./data/history.jsonl",
+    RETENTION_DAYS: 30, // Prune older events; 0 keeps everything
+    PRUNE_INTERVAL: 60 * 60 * 1000, // How often to prune (ms)
+  },
+  DEVICE_MTLS: {
+    // Mutual TLS on the RC TLS port is enabled when a CA bundle is configured
+    CA_PATH: null,
+    REQUIRE_CERT: true, // Refuse TLS devices without a certificate signed by the CA
+    BIND_MAC: true, // Certificate CN or SAN must match the MAC the device announces
+  },
+};
+
+// Value types that differ from what the default's JavaScript type implies
+const TYPES = {
+  "PORTS.RC": "port",
+  "PORTS.ADMIN": "port",
+  "PORTS.RC_TLS": "port",
+  "PORTS.ADMIN_TLS": "port",
+  "PORTS.HTTP": "port",
+  "BIND.RC": "string?",
+  "BIND.ADMIN": "string?",
+  "BIND.RC_TLS": "string?",
+  "BIND.ADMIN_TLS": "string?",
+  "BIND.HTTP": "string?",
+  "ADMIN_AUTH.CREDENTIALS_FILE": "string",
+  "DEVICE_AUTH.ALLOWLIST_FILE": "string?",
+  "DEVICE_AUTH.DENYLIST_FILE": "string?",
+  "DEVICE_AUTH.SECRETS_FILE": "string?",
+  "DEVICE_AUTH.SECRET_MODE": ["challenge", "token"],
+  "DEVICE_MTLS.CA_PATH": "string?",
+  "TAGS.FILE": "string?",
+  "SCHEDULER.FILE": "string?",
+  "DUPLICATE_MAC.POLICY": ["replace", "reject", "keep"],
+  "HISTORY.FILE": "string?",
+  "SHUTDOWN.COMMAND": "string?",
+  "MQTT.URL": "string?",
+  "MQTT.USERNAME": "string?",
+  "MQTT.PASSWORD": "string?",
+  "MQTT.CLIENT_ID": "string?",
+  "MQTT.QOS": [0, 1, 2],
+};
+
+// Environment variable names kept from before the config file existed
+const LEGACY_ENV = {
+  TLS_KEY_PATH: "TLS.KEY_PATH",
+  TLS_CERT_PATH: "TLS.CERT_PATH",
+};
+
+// All configurable keys as "SECTION.KEY"
+function configKeys() {
+  const keys = [];
+  Object.entries(DEFAULTS).forEach(([section, values]) => {
+    Object.keys(values).forEach((key) => keys.push(`${section}.${key}`));
+  });
+  return keys;
+}
+
+function typeOf(key) {
+  if (TYPES[key]) return TYPES[key];
+  const value = getKey(DEFAULTS, key);
+  if (value instanceof RegExp) return "regex";
+  if (Array.isArray(value)) return "list";
+  if (typeof value === "number") return "integer";
+  return typeof value; // "boolean" or "string"
+}
+
+function getKey(object, key) {
+  const [section, name] = key.split(".");
+  return object[section][name];
+}
+
+function setKey(object, key, value) {
+  const [section, name] = key.split(".");
+  object[section][name] = value;
+}
+
+// "PORTS.RC_TLS" -> "RA_PORTS_RC_TLS"
+function envName(key) {
+  return `RA_${key.replace(".", "_")}`;
+}
+
+// "PORTS.RC_TLS" -> "--ports-rc-tls"
+function flagName(key) {
+  return `--${key.replace(".", "-").replace(/_/g, "-").toLowerCase()}`;
+}
+
+// Convert and check one value. Strings from env vars and flags are parsed;
+// file values may already have the right type.
+function coerce(key, value, source) {
+  const type = typeOf(key);
+  const fail = (expected) => {
+    throw new ConfigError(
+      `Invalid config ${key} (from ${source}): expected ${expected}, got ${JSON.stringify(value)}`,
+    );
+  };
+
+  if (Array.isArray(type)) {
+    // Numeric choices arrive as strings from env vars and flags
+    const choice = typeof type[0] === "number" && typeof value === "string" ? Number(value) : value;
+    if (!type.includes(choice)) fail(`one of ${type.join(", ")}`);
+    return choice;
+  }
+
+  switch (type) {
+    case "port":
+    case "integer": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (type === "port") {
+        // 0 asks the OS for a free port (useful for embedded servers and tests)
+        if (!Number.isInteger(number) || number < 0 || number > 65535) fail("a port number 0-65535");
+      } else if (!Number.isInteger(number) || number < 0) {
+        fail("a non-negative integer");
+      }
+      return number;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (/^(true|yes|on|1)$/i.test(String(value))) return true;
+      if (/^(false|no|off|0)$/i.test(String(value))) return false;
+      return fail("true or false");
+    case "string":
+      if (typeof value !== "string" || value === "") fail("a non-empty string");
+      return value;
+    case "string?":
+      if (value === null || value === "") return null;
+      if (typeof value !== "string") fail("a string or null");
+      return value;
+    case "list":
+      if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+        return value;
+      }
+      if (typeof value === "string") {
+        return value.split(",").map((item) => item.trim()).filter(Boolean);
+      }
+      return fail("a list of strings");
+    case "regex":
+      if (value instanceof RegExp) return value;
+      if (typeof value !== "string") fail("a regular expression string");
+      try {
+        return new RegExp(value);
+      } catch (e) {
+        return fail(`a valid regular expression (${e.message})`);
+      }
+    default:
+      return value;
+  }
+}
+
+function readConfigFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new ConfigError(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  try {
+    return /\.ya?ml$/i.test(file) ? YAML.parse(content) || {} : JSON.parse(content);
+  } catch (e) {
+    throw new ConfigError(`Cannot parse config file ${file}: ${e.message}`);
+  }
+}
+
+// Split "--name=value" / "--name value" / "--no-name" flags
+function parseFlags(argv) {
+  const flags = new Map();
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new ConfigError(`Unexpected argument ${arg}`);
+    }
+
+    const eq = arg.indexOf("=");
+    if (eq > 0) {
+      flags.set(arg.slice(0, eq), arg.slice(eq + 1));
+    } else if (arg.startsWith("--no-")) {
+      flags.set(`--${arg.slice(5)}`, "false");
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags.set(arg, argv[++i]);
+    } else {
+      flags.set(arg, "true");
+    }
+  }
+  return flags;
+}
+
+function cloneDefaults() {
+  return Object.fromEntries(
+    Object.entries(DEFAULTS).map(([section, values]) => [section, { ...values }]),
+  );
+}
+
+// Apply a (partial) object shaped like DEFAULTS, validating every value
+function applySettings(config, data, source) {
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new ConfigError(`Config from ${source} must be an object`);
+  }
+
+  const keys = configKeys();
+  Object.entries(data).forEach(([section, values]) => {
+    if (!(section in DEFAULTS)) {
+      throw new ConfigError(`Unknown config section ${section} in ${source}`);
+    }
+    if (typeof values !== "object" || values === null || Array.isArray(values)) {
+      throw new ConfigError(`Config section ${section} in ${source} must be an object`);
+    }
+    Object.entries(values).forEach(([name, value]) => {
+      const key = `${section}.${name}`;
+      if (!keys.includes(key)) {
+        throw new ConfigError(`Unknown config key ${key} in ${source}`);
+      }
+      setKey(config, key, coerce(key, value, source));
+    });
+  });
+}
+
+// Complete a partial config object with defaults, e.g. for an embedded server
+export function resolveConfig(overrides = {}) {
+  const config = cloneDefaults();
+  applySettings(config, overrides, "options");
+  return config;
+}
+
+// Load configuration. Throws ConfigError on any invalid or unknown setting.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const config = cloneDefaults();
+  const keys = configKeys();
+  const flags = parseFlags(argv);
+
+  // Config file
+  const configFile = flags.get("--config") || env.RA_CONFIG || null;
+  flags.delete("--config");
+  if (configFile) {
+    applySettings(config, readConfigFile(configFile), path.basename(configFile));
+  }
+
+  // Environment variables, legacy names first so RA_* wins
+  Object.entries(LEGACY_ENV).forEach(([name, key]) => {
+    if (env[name] !== undefined) setKey(config, key, coerce(key, env[name], name));
+  });
+  keys.forEach((key) => {
+    const name = envName(key);
+    if (env[name] !== undefined) setKey(config, key, coerce(key, env[name], name));
+  });
+
+  // Command-line flags
+  const flagKeys = new Map(keys.map((key) => [flagName(key), key]));
+  flags.forEach((value, flag) => {
+    const key = flagKeys.get(flag);
+    if (!key) {
+      throw new ConfigError(`Unknown option ${flag} (see --help)`);
+    }
+    setKey(config, key, coerce(key, value, flag));
+  });
+
+  return { config, configFile };
+}
+
+// Help text listing every flag with its environment variable and default
+export function configUsage() {
+  const lines = [
+    "Options:",
+    "  --config <file>  JSON or YAML config file (env RA_CONFIG)",
+    "  --help           Show this help",
+    "",
+    "Settings (flag / environment variable / default):",
+  ];
+  configKeys().forEach((key) => {
+    const value = getKey(DEFAULTS, key);
+    const shown = value instanceof RegExp ? value.source : JSON.stringify(value);
+    lines.push(`  ${flagName(key).padEnd(34)} ${envName(key).padEnd(34)} ${shown}`);
+  });
+  return lines.join("\n");
+}
@@ -0,0 +1,164 @@
+import fs from "fs";
+import { WebSocketServer } from "ws";
+import { credentialsFrom } from "./http-api.js";
+
+/*
+ * Browser Dashboard
+ *
+ * Serves dashboard.html on the HTTP listener and pushes session state to it
+ * over a WebSocket at /ws. Messages are JSON objects with a "type":
+ *
+ *   server -> browser
+ *     { type: "sessions", sessions: [...] }               - snapshot on connect
+ *     { type: "session", event, session }                 - connect/identified/close
+ *     { type: "line", id, time, line, session }           - device line ([MGS LINE])
+ *     { type: "result", requestId, ok, result | error }   - answer to a browser request
+ *
+ *   browser -> server
+ *     { type: "command", requestId, target, command }     - like "cmd <target> <command>"
+ *     { type: "drop", requestId, target }                 - like "drop <target>"
+ *
+ * With admin authentication enabled the upgrade request needs the same
+ * credentials as the REST API, or "?token=<api-token>" in the URL.
+ *
+ * Upgrades from a browser page on another site are refused: the Origin must
+ * be the server's own host or one of allowedOrigins. Requests without an
+ * Origin come from scripts, not browsers, and are let through.
+ */
+
+const PAGE = new URL("./dashboard.html", import.meta.url);
+
+export function createDashboard(server, { authenticate = null, allowedOrigins = [] } = {}) {
+  const html = fs.readFileSync(PAGE);
+  const wss = new WebSocketServer({ noServer: true });
+
+  function send(client, message) {
+    if (client.readyState === client.OPEN) {
+      client.send(JSON.stringify(message));
+    }
+  }
+
+  function publish(message) {
+    wss.clients.forEach((client) => send(client, message));
+  }
+
+  // Server event -> handler; messages are only built while a browser is connected
+  const handlers = new Map();
+  ["connect", "identified", "close"].forEach((event) => {
+    handlers.set(`session:${event}`, (session) => {
+      if (wss.clients.size === 0) return;
+      publish({ type: "session", event, session: server.describeSession(session) });
+    });
+  });
+  handlers.set("session:line", (session, line) => {
+    if (wss.clients.size === 0) return;
+    publish({
+      type: "line",
+      id: session.id,
+      time: new Date().toISOString(),
+      line,
+      session: server.describeSession(session),
+    });
+  });
+  handlers.forEach((handler, event) => server.on(event, handler));
+
+  // Run one browser request and answer with a "result" message
+  async function handleMessage(client, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      send(client, { type: "result", ok: false, error: { code: "BAD_JSON", message: e.message } });
+      return;
+    }
+
+    const { requestId, target } = message;
+    try {
+      let result;
+      if (message.type === "command") {
+        if (typeof message.command !== "string" || !message.command.trim()) {
+          throw Object.assign(new Error("command is required"), { code: "BAD_COMMAND" });
+        }
+        result = await server.sendCommand(String(target), message.command.trim());
+      } else if (message.type === "drop") {
+        if (!server.drop(String(target))) {
+          throw Object.assign(new Error(`Device ${target} not found.`), { code: "NOT_FOUND" });
+        }
+        result = { dropped: target };
+      } else {
+        throw Object.assign(new Error(`Unknown message type ${message.type}`), { code: "BAD_TYPE" });
+      }
+      send(client, { type: "result", requestId, ok: true, result });
+    } catch (error) {
+      send(client, {
+        type: "result",
+        requestId,
+        ok: false,
+        error: { code: error.code || "INTERNAL", message: error.message },
+      });
+    }
+  }
+
+  wss.on("connection", (client) => {
+    send(client, {
+      type: "sessions",
+      sessions: [...server.sessions.values()].map((session) => server.describeSession(session)),
+    });
+    client.on("message", (data) => handleMessage(client, data.toString()));
+  });
+
+  function originAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin || allowedOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Accept WebSocket upgrades on /ws of an HTTP(S) server
+  function attach(httpServer) {
+    httpServer.on("upgrade", (req, socket, head) => {
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname !== "/ws") {
+        socket.destroy();
+        return;
+      }
+
+      if (!originAllowed(req)) {
+        socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+        return;
+      }
+
+      if (authenticate) {
+        const token = url.searchParams.get("token");
+        const credentials = token ? { token } : credentialsFrom(req);
+        const result = credentials ? authenticate(req.socket.remoteAddress, credentials) : {};
+        if (!result.identity) {
+          socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+          return;
+        }
+      }
+
+      wss.handleUpgrade(req, socket, head, (client) => wss.emit("connection", client, req));
+    });
+  }
+
+  // Serve the dashboard page (an http-api route handler)
+  function page(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Length": html.length,
+    });
+    res.end(html);
+  }
+
+  // Disconnect all browsers and stop following server events
+  function close() {
+    handlers.forEach((handler, event) => server.off(event, handler));
+    wss.clients.forEach((client) => client.terminate());
+  }
+
+  return { attach, page, close };
+}
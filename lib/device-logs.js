@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import moment from "moment";
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Per-Device Log Files
+ *
+ * Captures the lines of identified devices to <dir>/<MAC>/<YYYY-MM-DD>.log,
+ * one timestamped line per device line, independent of connected admins.
+ *
+ * Rotation:
+ *   - a file reaching maxSize is renamed to <date>.<n>.log and compressed
+ *   - the previous day's file is compressed when the date changes
+ *   - files not written for maxAgeDays are deleted
+ *
+ * Capture is on or off globally, and can be overridden per MAC.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function createDeviceLogs(server, { dir, capture, maxSize, maxAgeDays, onError = () => {} }) {
+  let captureAll = capture;
+  const overrides = new Map(); // Normalized MAC -> true/false
+  const writers = new Map(); // Normalized MAC -> { date, file, fd, size }
+  const compressing = new Set(); // Files being compressed
+  let cleanupTimer = null;
+
+  function isCaptured(mac) {
+    const key = normalizeMac(mac);
+    return overrides.has(key) ? overrides.get(key) : captureAll;
+  }
+
+  // Gzip a finished log file next to itself and remove the original
+  function compress(file) {
+    if (compressing.has(file)) return;
+    compressing.add(file);
+    pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`))
+      .then(() => fs.promises.unlink(file))
+      .catch(onError)
+      .finally(() => compressing.delete(file));
+  }
+
+  function closeWriter(key) {
+    const writer = writers.get(key);
+    if (!writer) return;
+    fs.closeSync(writer.fd);
+    writers.delete(key);
+  }
+
+  // First free <date>.<n>.log name for a size rotation
+  function rotatedName(deviceDir, date) {
+    for (let n = 1; ; n++) {
+      const name = path.join(deviceDir, `${date}.${n}.log`);
+      if (!fs.existsSync(name) && !fs.existsSync(`${name}.gz`)) return name;
+    }
+  }
+
+  // The open file for a device, rotated by date and size as needed
+  function writerFor(mac) {
+    const key = normalizeMac(mac);
+    const date = moment().format("YYYY-MM-DD");
+    let writer = writers.get(key);
+
+    if (writer && writer.date !== date) {
+      closeWriter(key);
+      compress(writer.file);
+      writer = null;
+    }
+    if (writer && writer.size >= maxSize) {
+      closeWriter(key);
+      const rotated = rotatedName(path.dirname(writer.file), writer.date);
+      fs.renameSync(writer.file, rotated);
+      compress(rotated);
+      writer = null;
+    }
+
+    if (!writer) {
+      const deviceDir = path.join(dir, key);
+      fs.mkdirSync(deviceDir, { recursive: true });
+      const file = path.join(deviceDir, `${date}.log`);
+      const fd = fs.openSync(file, "a");
+      writer = { date, file, fd, size: fs.fstatSync(fd).size };
+      writers.set(key, writer);
+    }
+    return writer;
+  }
+
+  function write(session, line) {
+    if (!session.identified || !isCaptured(session.mac)) return;
+    try {
+      const writer = writerFor(session.mac);
+      const entry = `${moment().format("YYYY-MM-DDTHH:mm:ss.SSSZ")} ${line}\n`;
+      fs.writeSync(writer.fd, entry);
+      writer.size += Buffer.byteLength(entry);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  // Compress logs of earlier days left uncompressed and delete expired ones
+  function cleanup() {
+    if (!fs.existsSync(dir)) return;
+    const today = moment().format("YYYY-MM-DD");
+    const cutoff = Date.now() - maxAgeDays * DAY;
+
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const deviceDir = path.join(dir, entry.name);
+        fs.readdirSync(deviceDir).forEach((name) => {
+          const file = path.join(deviceDir, name);
+          if ([...writers.values()].some((writer) => writer.file === file)) return;
+          try {
+            if (maxAgeDays && fs.statSync(file).mtimeMs < cutoff) {
+              fs.unlinkSync(file);
+            } else if (name.endsWith(".log") && !name.startsWith(today)) {
+              compress(file);
+            }
+          } catch (error) {
+            onError(error);
+          }
+        });
+      });
+  }
+
+  const onLine = (session, line) => write(session, line);
+  const onClose = (session) => {
+    const key = normalizeMac(session.mac);
+    const stillConnected = [...server.sessions.values()].some(
+      (other) => other !== session && normalizeMac(other.mac) === key,
+    );
+    if (!stillConnected) closeWriter(key);
+  };
+
+  function start() {
+    server.on("session:line", onLine);
+    server.on("session:close", onClose);
+    try {
+      cleanup();
+    } catch (error) {
+      onError(error);
+    }
+    cleanupTimer = setInterval(() => {
+      try {
+        cleanup();
+      } catch (error) {
+        onError(error);
+      }
+    }, 60 * 60 * 1000);
+    cleanupTimer.unref();
+  }
+
+  function stop() {
+    server.off("session:line", onLine);
+    server.off("session:close", onClose);
+    clearInterval(cleanupTimer);
+    [...writers.keys()].forEach(closeWriter);
+  }
+
+  // Turn capture on or off for one MAC, or for all devices when mac is null
+  // (which also clears the per-device overrides)
+  function setCapture(mac, enabled) {
+    if (mac === null) {
+      captureAll = enabled;
+      overrides.clear();
+    } else {
+      overrides.set(normalizeMac(mac), enabled);
+    }
+    if (!enabled) {
+      [...writers.keys()].filter((key) => !isCaptured(key)).forEach(closeWriter);
+    }
+  }
+
+  // { all, overrides: { MAC: bool }, open: [files] }
+  function status() {
+    return {
+      all: captureAll,
+      overrides: Object.fromEntries(overrides),
+      open: [...writers.values()].map((writer) => writer.file),
+    };
+  }
+
+  return { start, stop, setCapture, status, isCaptured };
+}
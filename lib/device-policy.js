@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/*
+ * Device Authentication Policy
+ *
+ * Decides whether a device that announced its MAC may become a session.
+ * Checks run in order and the first rejection wins:
+ *
+ *   1. Certificate      - with mutual TLS, the client certificate's CN or a SAN
+ *                         entry must be the announced MAC
+ *   2. Denylist file    - one MAC per line, '#' starts a comment
+ *   3. Allowlist file   - if configured, only listed MACs are accepted
+ *   4. Secrets file     - JSON { "<MAC>": "<secret>" }; every device must have an
+ *                         entry and answer an "AUTH <nonce>" prompt with
+ *                         "AUTH <hex HMAC-SHA256(secret, nonce)>" (challenge mode)
+ *                         or "AUTH <secret>" (token mode)
+ *   5. Policy modules   - ES modules whose default export is
+ *                         async (device) => boolean | { allowed, reason } | undefined
+ *                         where undefined abstains
+ *
+ * A device passed to checks and modules looks like
+ * { mac, addr, session, certificate, challenge(prompt) => Promise<reply line | null> }
+ * where certificate is the verified peer certificate, or null when the device
+ * did not authenticate with one.
+ */
+
+// Normalize a MAC to 12 upper-case hex digits for comparison
+export function normalizeMac(mac) {
+  return String(mac).replace(/[:-]/g, "").toUpperCase();
+}
+
+// Re-read a file whenever its modification time changes
+function watchedFile(filePath, parse) {
+  let mtime = null;
+  let value = null;
+
+  return () => {
+    const current = fs.statSync(filePath).mtimeMs;
+    if (current !== mtime) {
+      value = parse(fs.readFileSync(filePath, "utf8"));
+      mtime = current;
+    }
+    return value;
+  };
+}
+
+function parseMacList(content) {
+  const macs = new Set();
+  content.split(/\r?\n/).forEach((line) => {
+    const entry = line.replace(/#.*/, "").trim();
+    if (entry) macs.add(normalizeMac(entry));
+  });
+  return macs;
+}
+
+function parseSecrets(content) {
+  const secrets = new Map();
+  Object.entries(JSON.parse(content)).forEach(([mac, secret]) => {
+    secrets.set(normalizeMac(mac), String(secret));
+  });
+  return secrets;
+}
+
+// Names a certificate vouches for: subject CN(s) and every SAN value
+function certificateNames(certificate) {
+  const names = [];
+  const cn = certificate.subject && certificate.subject.CN;
+  if (cn) names.push(...[].concat(cn));
+  if (certificate.subjectaltname) {
+    certificate.subjectaltname.split(/,\s*/).forEach((entry) => {
+      names.push(entry.slice(entry.indexOf(":") + 1));
+    });
+  }
+  return names;
+}
+
+function hmac(secret, nonce) {
+  return crypto.createHmac("sha256", secret).update(nonce).digest("hex");
+}
+
+// Compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(a).digest();
+  const hashB = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Turn a policy module's answer into { allowed, reason }
+function toDecision(result, name) {
+  if (result === undefined || result === null) return null; // Abstain
+  if (typeof result === "boolean") {
+    return result ? null : { allowed: false, reason: `rejected by ${name}` };
+  }
+  if (result.allowed === false) {
+    return { allowed: false, reason: result.reason || `rejected by ${name}` };
+  }
+  return null;
+}
+
+// Build the policy from configuration. Policy modules are imported here, so
+// a missing or broken module fails at startup rather than on first login.
+export async function createDevicePolicy({
+  allowlistFile,
+  denylistFile,
+  secretsFile,
+  secretMode = "challenge",
+  modules = [],
+  bindCertificate = false,
+}) {
+  const checks = [];
+
+  if (bindCertificate) {
+    checks.push(async (device) => {
+      if (!device.certificate) return null; // Not a certificate-authenticated connection
+      const names = certificateNames(device.certificate);
+      const mac = normalizeMac(device.mac);
+      return names.some((name) => normalizeMac(name) === mac)
+        ? null
+        : {
+            allowed: false,
+            reason: `certificate subject (${names.join(", ") || "none"}) does not match MAC`,
+          };
+    });
+  }
+
+  if (denylistFile) {
+    const denylist = watchedFile(denylistFile, parseMacList);
+    denylist(); // Fail early on a missing file
+    checks.push(async (device) =>
+      denylist().has(normalizeMac(device.mac))
+        ? { allowed: false, reason: "MAC is denylisted" }
+        : null,
+    );
+  }
+
+  if (allowlistFile) {
+    const allowlist = watchedFile(allowlistFile, parseMacList);
+    allowlist();
+    checks.push(async (device) =>
+      allowlist().has(normalizeMac(device.mac))
+        ? null
+        : { allowed: false, reason: "MAC not in allowlist" },
+    );
+  }
+
+  if (secretsFile) {
+    const secrets = watchedFile(secretsFile, parseSecrets);
+    secrets();
+    checks.push(async (device) => {
+      const secret = secrets().get(normalizeMac(device.mac));
+      if (!secret) {
+        return { allowed: false, reason: "no shared secret for MAC" };
+      }
+
+      const nonce = crypto.randomBytes(16).toString("hex");
+      const reply = await device.challenge(`AUTH ${nonce}`);
+      if (reply === null) {
+        return { allowed: false, reason: "no challenge response" };
+      }
+
+      const expected = secretMode === "token" ? secret : hmac(secret, nonce);
+      return safeEqual(reply, expected)
+        ? null
+        : { allowed: false, reason: "challenge response mismatch" };
+    });
+  }
+
+  for (const modulePath of modules) {
+    const url = pathToFileURL(path.resolve(modulePath)).href;
+    const policyModule = await import(url);
+    if (typeof policyModule.default !== "function") {
+      throw new Error(`Policy module ${modulePath} has no default export function`);
+    }
+    const name = path.basename(modulePath);
+    checks.push(async (device) => toDecision(await policyModule.default(device), name));
+  }
+
+  return {
+    // Resolve to { allowed: true } or { allowed: false, reason }
+    async authorize(device) {
+      for (const check of checks) {
+        let decision;
+        try {
+          decision = await check(device);
+        } catch (error) {
+          decision = { allowed: false, reason: `policy error: ${error.message}` };
+        }
+        if (decision) return decision;
+      }
+      return { allowed: true };
+    },
+  };
+}
@@ -0,0 +1,146 @@
+/*
+ * Connection Flood Protection
+ *
+ * Decides whether a new device connection gets a session:
+ *
+ *   - at most maxSessions sessions, and at most maxUnidentified of them that
+ *     have not announced an accepted MAC yet
+ *   - an address opening more than connectionsPerIp connections within
+ *     window is banned for banTime (exempt addresses never are)
+ *
+ * It also limits each session to maxLineRate lines per second. Refused
+ * connections and dropped lines are reported through log(message) as one
+ * summary per summaryInterval instead of one message each.
+ */
+
+// "::ffff:10.0.0.7" -> "10.0.0.7", so IPv4 clients match however they connect
+export function normalizeAddr(addr) {
+  return String(addr).replace(/^::ffff:/i, "");
+}
+
+const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+
+export function createFloodGuard({
+  maxSessions,
+  maxUnidentified,
+  connectionsPerIp,
+  window,
+  banTime,
+  exempt = [],
+  maxLineRate,
+  summaryInterval,
+  log,
+}) {
+  const exempted = new Set(exempt.map(normalizeAddr));
+  const attempts = new Map(); // Address -> connection times (ms) within the window
+  const bans = new Map(); // Address -> { since, until, reason }
+  const lineWindows = new WeakMap(); // Session -> { start, lines }
+  let refused = new Map(); // Reason -> { count, addrs: Set }, since the last summary
+  let dropped = new Map(); // Session -> lines dropped since the last summary
+  let timer = null;
+
+  function refuse(addr, reason) {
+    const entry = refused.get(reason) || { count: 0, addrs: new Set() };
+    entry.count++;
+    entry.addrs.add(addr);
+    refused.set(reason, entry);
+    return reason;
+  }
+
+  // Reason to refuse a connection from addr, or null to accept it.
+  // counts is { sessions, unidentified } before this connection.
+  function admit(addr, { sessions, unidentified }, now = Date.now()) {
+    const key = normalizeAddr(addr);
+    const ban = bans.get(key);
+    if (ban && ban.until > now) return refuse(key, "banned");
+    if (ban) bans.delete(key);
+
+    if (connectionsPerIp && !exempted.has(key)) {
+      const recent = (attempts.get(key) || []).filter((time) => time > now - window);
+      recent.push(now);
+      if (recent.length > connectionsPerIp) {
+        attempts.delete(key);
+        const reason = `${recent.length} connections in ${seconds(window)}`;
+        bans.set(key, { since: new Date(now).toISOString(), until: now + banTime, reason });
+        log(`Banned ${key} for ${seconds(banTime)}: ${reason}`);
+        return refuse(key, "banned");
+      }
+      attempts.set(key, recent);
+    }
+
+    if (maxSessions && sessions >= maxSessions) return refuse(key, "session limit");
+    if (maxUnidentified && unidentified >= maxUnidentified) return refuse(key, "unidentified limit");
+    return null;
+  }
+
+  // Whether a line from session is within the line rate; counts it if not
+  function allowLine(session, now = Date.now()) {
+    if (!maxLineRate) return true;
+    let current = lineWindows.get(session);
+    if (!current || now - current.start >= 1000) {
+      current = { start: now, lines: 0 };
+      lineWindows.set(session, current);
+    }
+    if (++current.lines <= maxLineRate) return true;
+    dropped.set(session, (dropped.get(session) || 0) + 1);
+    return false;
+  }
+
+  // Report what was refused or dropped since the last summary
+  function summarize(now = Date.now()) {
+    if (refused.size) {
+      const total = [...refused.values()].reduce((sum, entry) => sum + entry.count, 0);
+      const parts = [...refused].map(([reason, { count, addrs }]) => {
+        const list = [...addrs];
+        const shown = list.slice(0, 3).join(", ") + (list.length > 3 ? ` +${list.length - 3}` : "");
+        return `${count} ${reason} (${shown})`;
+      });
+      log(`Refused ${total} connections in the last ${seconds(summaryInterval)}: ${parts.join(", ")}`);
+    }
+    dropped.forEach((lines, session) => {
+      log(`Dropped ${lines} lines from ID:${session.id} ${session.mac} ${session.addr} (over ${maxLineRate} lines/s)`);
+    });
+    refused = new Map();
+    dropped = new Map();
+
+    // Forget addresses that went quiet and bans that ran out
+    attempts.forEach((times, addr) => {
+      if (times[times.length - 1] <= now - window) attempts.delete(addr);
+    });
+    bans.forEach((ban, addr) => {
+      if (ban.until <= now) bans.delete(addr);
+    });
+  }
+
+  function start() {
+    timer = setInterval(() => summarize(), summaryInterval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Active bans: [{ addr, since, until, reason }]
+  function list(now = Date.now()) {
+    return [...bans]
+      .filter(([, ban]) => ban.until > now)
+      .map(([addr, ban]) => ({ addr, since: ban.since, until: new Date(ban.until).toISOString(), reason: ban.reason }));
+  }
+
+  // Lift the ban on one address, or all bans when addr is null; returns the number lifted
+  function unban(addr = null) {
+    const lifted = list().filter((ban) => addr === null || ban.addr === normalizeAddr(addr)).length;
+    if (addr === null) {
+      bans.clear();
+      attempts.clear();
+    } else {
+      bans.delete(normalizeAddr(addr));
+      attempts.delete(normalizeAddr(addr));
+    }
+    return lifted;
+  }
+
+  return { start, stop, admit, allowLine, summarize, list, unban };
+}
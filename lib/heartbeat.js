@@ -0,0 +1,64 @@
+/*
+ * Device Heartbeat
+ *
+ * Every interval, identified devices that sent no line since the previous
+ * check are sent a probe command. A device that leaves staleAfter probes in a
+ * row unanswered is marked stale; after dropAfter it is handed to onTimeout to
+ * be closed. Any line from the device counts as an answer and clears both.
+ *
+ * No probe is written while an admin command awaits its reply, so probe
+ * replies are never taken as part of a command result.
+ */
+
+// onStale(session, missed) and onActive(session) report stale changes;
+// onTimeout(session, missed) closes the connection; write(session, line) sends the probe
+export function createHeartbeat(server, { interval, command, staleAfter, dropAfter, onStale, onActive, onTimeout, write }) {
+  const probes = new WeakMap(); // Session -> time of the last probe (ms)
+  let timer = null;
+  let lastCheck = 0;
+
+  const onLine = (session) => {
+    session.missedHeartbeats = 0;
+    if (session.stale) {
+      session.stale = false;
+      onActive(session);
+    }
+  };
+
+  function check(now = Date.now()) {
+    server.sessions.forEach((session) => {
+      if (!session.identified || session.status === "close") return;
+      const seen = session.lastSeen.valueOf();
+      if (probes.has(session) && seen < probes.get(session)) session.missedHeartbeats++;
+
+      if (dropAfter && session.missedHeartbeats >= dropAfter) {
+        onTimeout(session, session.missedHeartbeats);
+        return;
+      }
+      if (staleAfter && session.missedHeartbeats >= staleAfter && !session.stale) {
+        session.stale = true;
+        onStale(session, session.missedHeartbeats);
+      }
+      if (seen <= lastCheck && session.requests.length === 0 && session.socket.writable) {
+        write(session, command);
+        probes.set(session, now);
+      }
+    });
+    lastCheck = now;
+  }
+
+  function start() {
+    lastCheck = Date.now();
+    server.on("session:line", onLine);
+    timer = setInterval(() => check(), interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    server.off("session:line", onLine);
+  }
+
+  return { start, stop, check };
+}
@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Event History
+ *
+ * Appends session events to a JSON Lines file so they outlive the session:
+ *
+ *   { "time", "type", "id", "mac", "addr", "fwVer", ...details }
+ *
+ * Types: start (server start), connect, identified, rejected (reason), close
+ * (reason), error (message), timeout (reason), stale (missed), change (key,
+ * from, to), command (cmd), duplicate (previousId, policy) and admin (line,
+ * user, for every admin command). Events older than the retention period are
+ * pruned at startup and then periodically.
+ */
+
+// Parse a "since" argument: a duration back from now (90s, 30m, 12h, 7d, 2w)
+// or anything Date understands (2026-01-31, 2026-01-31T08:00:00Z).
+// Returns a Date, or null if it cannot be parsed.
+export function parseSince(text, now = Date.now()) {
+  const duration = String(text).match(/^(\d+)([smhdw])$/i);
+  if (duration) {
+    const unit = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }[duration[2].toLowerCase()];
+    return new Date(now - Number(duration[1]) * unit * 1000);
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Events in file content, oldest first
+function parseEvents(content) {
+  const events = [];
+  content.split("\n").forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // Skip a line damaged by a crash mid-write
+    }
+  });
+  return events;
+}
+
+export function createHistory(server, { file, retentionDays, pruneInterval, onError = () => {} }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  function record(type, session, details = {}) {
+    const event = { time: new Date().toISOString(), type };
+    if (session) {
+      Object.assign(event, {
+        id: session.id,
+        mac: session.mac,
+        addr: session.addr,
+        fwVer: session.fwVer,
+      });
+    }
+    Object.assign(event, details);
+
+    try {
+      fs.appendFileSync(file, JSON.stringify(event) + "\n");
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  const listeners = {
+    "session:connect": (session) => record("connect", session),
+    "session:identified": (session) => record("identified", session),
+    "session:rejected": (session, reason) => record("rejected", session, { reason }),
+    "session:close": (session) => record("close", session, { reason: session.closeReason }),
+    "session:error": (session, error) => record("error", session, { message: error.message }),
+    "session:timeout": (session, reason) => record("timeout", session, { reason }),
+    "session:stale": (session, missed) => record("stale", session, { missed }),
+    "session:change": (session, key, from, to) => record("change", session, { key, from, to }),
+    "session:command": (session, cmd) => record("command", session, { cmd }),
+    "session:duplicate": (session, previous, policy) =>
+      record("duplicate", session, { previousId: previous.id, policy }),
+    "admin:command": ({ line, admin }) =>
+      record("admin", null, {
+        line,
+        user: admin ? admin.user : "console",
+        addr: admin ? admin.addr : undefined,
+      }),
+  };
+
+  // Rewrite the file without events older than the retention period.
+  // Synchronous, so no event is appended between reading and rewriting.
+  function prune() {
+    if (!retentionDays || !fs.existsSync(file)) return 0;
+    const cutoff = Date.now() - retentionDays * 86400 * 1000;
+    const events = parseEvents(fs.readFileSync(file, "utf8"));
+    const kept = events.filter((event) => Date.parse(event.time) >= cutoff);
+    if (kept.length === events.length) return 0;
+
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, kept.map((event) => JSON.stringify(event) + "\n").join(""));
+    fs.renameSync(temp, file);
+    return events.length - kept.length;
+  }
+
+  // Events of the sessions matching a session ID or MAC, oldest first.
+  // Session IDs restart with the server, so events are grouped into session
+  // lifetimes (connect ... close) before matching.
+  async function query({ id = null, mac = null, since = null }) {
+    const wanted = mac ? normalizeMac(mac) : null;
+    let content = "";
+    try {
+      content = await fs.promises.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    const events = parseEvents(content);
+    const lifetimes = new Map(); // Session ID -> index of its connect event
+    const matched = new Set();
+    const keys = events.map((event, index) => {
+      if (event.type === "start") lifetimes.clear();
+      if (event.id === undefined) return null;
+      if (event.type === "connect") lifetimes.set(event.id, index);
+      const key = lifetimes.has(event.id) ? lifetimes.get(event.id) : `id:${event.id}`;
+      if (wanted ? normalizeMac(event.mac) === wanted : event.id === id) matched.add(key);
+      return key;
+    });
+
+    return events.filter(
+      (event, index) =>
+        keys[index] !== null &&
+        matched.has(keys[index]) &&
+        (!since || Date.parse(event.time) >= since.getTime()),
+    );
+  }
+
+  // Run prune() and report failures instead of throwing
+  function safePrune() {
+    try {
+      prune();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  let pruneTimer = null;
+
+  function start() {
+    Object.entries(listeners).forEach(([event, listener]) => server.on(event, listener));
+    record("start", null);
+    safePrune();
+    if (retentionDays && pruneInterval) {
+      pruneTimer = setInterval(safePrune, pruneInterval);
+      pruneTimer.unref();
+    }
+  }
+
+  function stop() {
+    Object.entries(listeners).forEach(([event, listener]) => server.off(event, listener));
+    clearInterval(pruneTimer);
+  }
+
+  return { start, stop, record, query, prune };
+}
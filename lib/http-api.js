@@ -0,0 +1,205 @@
+/*
+ * HTTP REST API
+ *
+ * JSON endpoints over the same operations as the admin commands:
+ *
+ *   GET    /sessions                 - all sessions (the ls fields plus device details)
+ *   GET    /sessions/:id             - one session by ID (decimal or hex) or MAC
+ *   POST   /sessions/:id/commands    - { "command": "..." }, waits for the device reply
+ *   POST   /commands/broadcast       - { "command": "..." }, like cmdall
+ *   DELETE /sessions/:id             - drop the device connection
+ *
+ * Errors are { "error": { "code", "message" } }. When admin authentication is
+ * enabled every request needs "Authorization: Bearer <api-token>" or HTTP Basic
+ * credentials of an admin user.
+ */
+
+const MAX_BODY = 64 * 1024;
+
+// HTTP status for each sendCommand() error code
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  NOT_WRITABLE: 409,
+  WRITE_FAILED: 502,
+  CLOSED: 502,
+  TIMEOUT: 504,
+};
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body, null, 2) + "\n";
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new HttpError(413, "BODY_TOO_LARGE", `Request body exceeds ${MAX_BODY} bytes`));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new HttpError(400, "BAD_JSON", `Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// The "command" field of a request body
+function commandFrom(body) {
+  const command = body && body.command;
+  if (typeof command !== "string" || !command.trim() || /[\r\n]/.test(command)) {
+    throw new HttpError(400, "BAD_COMMAND", 'Body must be { "command": "<single line>" }');
+  }
+  return command.trim();
+}
+
+// Credentials from an Authorization header, in the shape adminAuth.authenticate() takes
+export function credentialsFrom(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, value = ""] = header.split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme) && value) {
+    return { token: value };
+  }
+  if (/^basic$/i.test(scheme) && value) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    const colon = decoded.indexOf(":");
+    if (colon > 0) {
+      return { user: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+    }
+  }
+  return null;
+}
+
+// Build the request handler. authenticate(addr, credentials) is the admin
+// authenticator, or null when admin authentication is disabled.
+// More routes can be added with route(method, pattern, handler); the handler
+// gets (req, params, res) and returns a JSON body, or undefined once it has
+// written the response itself.
+export function createHttpApi(server, { authenticate = null } = {}) {
+  const routes = [];
+
+  function route(method, pattern, handler) {
+    routes.push({ method, pattern, handler });
+  }
+
+  function sessionOr404(target) {
+    let id;
+    try {
+      id = decodeURIComponent(target);
+    } catch (e) {
+      throw new HttpError(400, "BAD_REQUEST", `Malformed device ID ${target}.`);
+    }
+    const session = server.findSession(id);
+    if (!session) {
+      throw new HttpError(404, "NOT_FOUND", `Device ${target} not found.`);
+    }
+    return session;
+  }
+
+  route("GET", /^\/sessions$/, () => ({
+    sessions: [...server.sessions.values()].map((session) => server.describeSession(session)),
+  }));
+
+  route("GET", /^\/sessions\/([^/]+)$/, (req, [target]) =>
+    server.describeSession(sessionOr404(target)),
+  );
+
+  route("POST", /^\/sessions\/([^/]+)\/commands$/, async (req, [target]) => {
+    const command = commandFrom(await readJsonBody(req));
+    const session = sessionOr404(target);
+    const result = await server.sendCommand(session.id, command);
+    return {
+      id: result.id,
+      mac: result.mac,
+      command: result.cmd,
+      lines: result.lines,
+      complete: result.complete,
+    };
+  });
+
+  route("POST", /^\/commands\/broadcast$/, async (req) => {
+    const command = commandFrom(await readJsonBody(req));
+    return { command, sessions: server.broadcast(command) };
+  });
+
+  route("DELETE", /^\/sessions\/([^/]+)$/, (req, [target]) => {
+    const session = sessionOr404(target);
+    server.drop(session.id);
+    return { dropped: session.id, mac: session.mac };
+  });
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    try {
+      if (authenticate) {
+        const credentials = credentialsFrom(req);
+        const result = credentials
+          ? authenticate(req.socket.remoteAddress, credentials)
+          : { error: "credentials required" };
+        if (!result.identity) {
+          throw new HttpError(401, "UNAUTHORIZED", result.error);
+        }
+        req.user = result.identity;
+      }
+
+      const allowed = [];
+      for (const { method, pattern, handler } of routes) {
+        const match = pathname.match(pattern);
+        if (!match) continue;
+        if (method !== req.method) {
+          allowed.push(method);
+          continue;
+        }
+        const body = await handler(req, match.slice(1), res);
+        if (body !== undefined) sendJson(res, 200, body);
+        return;
+      }
+
+      if (allowed.length > 0) {
+        sendJson(
+          res,
+          405,
+          { error: { code: "METHOD_NOT_ALLOWED", message: `${req.method} not allowed on ${pathname}` } },
+          { Allow: allowed.join(", ") },
+        );
+        return;
+      }
+      throw new HttpError(404, "NO_ROUTE", `No route for ${req.method} ${pathname}`);
+    } catch (error) {
+      const status = error.status || ERROR_STATUS[error.code] || 500;
+      const code = error.code || "INTERNAL";
+      const headers = status === 401 ? { "WWW-Authenticate": 'Basic realm="remote-admin"' } : {};
+      if (!res.headersSent) {
+        sendJson(res, status, { error: { code, message: error.message } }, headers);
+      }
+    }
+  }
+
+  return { handle, route };
+}
@@ -0,0 +1,58 @@
+import { StringDecoder } from "string_decoder";
+
+// Split a byte stream into lines on CR, LF or CRLF.
+// Partial data is buffered until its terminator arrives; a line longer than
+// maxLength is delivered truncated and the rest of it is discarded.
+export function createLineFramer(onLine, { maxLength, onOverflow } = {}) {
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  let discarding = false;
+
+  function emit(line) {
+    const trimmed = line.trim();
+    if (trimmed) onLine(trimmed);
+  }
+
+  function emitCapped(line) {
+    if (maxLength && line.length > maxLength) {
+      if (onOverflow) onOverflow(line.length);
+      emit(line.slice(0, maxLength));
+      return;
+    }
+    emit(line);
+  }
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+      let index;
+      while ((index = buffer.search(/[\r\n]/)) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 1);
+        if (discarding) {
+          discarding = false;
+          continue;
+        }
+        emitCapped(line);
+      }
+
+      // An unterminated line already over the limit is delivered now, and
+      // the rest of it is dropped as it arrives
+      if (maxLength && buffer.length > maxLength) {
+        if (!discarding) {
+          emitCapped(buffer);
+          discarding = true;
+        }
+        buffer = "";
+      }
+    },
+    // Deliver whatever is left once the peer has finished sending
+    flush() {
+      buffer += decoder.end();
+      if (!discarding) emit(buffer);
+      buffer = "";
+      discarding = false;
+    },
+  };
+}
@@ -0,0 +1,127 @@
+/*
+ * Prometheus Metrics
+ *
+ * Counts server events and renders them, with gauges taken from the live
+ * sessions, in the Prometheus text exposition format for GET /metrics.
+ * transport is "tcp" or "tls"; counters start at zero when the server starts.
+ */
+
+const PREFIX = "remote_admin";
+
+// Counter and gauge definitions: name -> [type, help]
+const METRICS = {
+  sessions: ["gauge", "Connected device sessions"],
+  sessions_identified: ["gauge", "Device sessions that announced an accepted MAC"],
+  sessions_by_firmware: ["gauge", "Identified device sessions by reported firmware version"],
+  session_connects_total: ["counter", "Device connections accepted"],
+  session_closes_total: ["counter", "Device connections closed"],
+  session_errors_total: ["counter", "Device socket errors"],
+  session_timeouts_total: ["counter", "Device idle and heartbeat timeouts"],
+  session_rejections_total: ["counter", "Devices rejected ([DEV NOT VALID])"],
+  connections_refused_total: ["counter", "Device connections refused by the flood limits"],
+  device_bytes_received_total: ["counter", "Bytes received from devices"],
+  device_bytes_sent_total: ["counter", "Bytes sent to devices"],
+  admin_connections: ["gauge", "Open admin connections"],
+  admin_connections_total: ["counter", "Admin connections accepted"],
+  commands_sent_total: ["counter", "Commands written to devices"],
+  command_errors_total: ["counter", "Failed admin and API commands by error code"],
+};
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+export function createMetrics(server) {
+  const counters = new Map(); // "name{labels}" -> { name, labels, value }
+  const closedBytes = { tcp: { in: 0, out: 0 }, tls: { in: 0, out: 0 } };
+  let adminsOpen = { tcp: 0, tls: 0 };
+
+  function count(name, labels = {}, amount = 1) {
+    const key = `${name}${formatLabels(labels)}`;
+    const counter = counters.get(key) || { name, labels, value: 0 };
+    counter.value += amount;
+    counters.set(key, counter);
+  }
+
+  const listeners = {
+    "session:connect": (session) => count("session_connects_total", { transport: session.transport }),
+    "session:close": (session) => {
+      count("session_closes_total", { transport: session.transport });
+      closedBytes[session.transport].in += session.socket.bytesRead;
+      closedBytes[session.transport].out += session.socket.bytesWritten;
+    },
+    "session:error": (session) => count("session_errors_total", { transport: session.transport }),
+    "session:timeout": (session) => count("session_timeouts_total", { transport: session.transport }),
+    "session:rejected": (session) => count("session_rejections_total", { transport: session.transport }),
+    "connection:refused": (addr, reason) => count("connections_refused_total", { reason }),
+    "session:command": () => count("commands_sent_total"),
+    "command:error": (code) => count("command_errors_total", { code }),
+    "admin:connect": (admin) => {
+      count("admin_connections_total", { transport: admin.transport });
+      adminsOpen[admin.transport]++;
+    },
+    "admin:close": (admin) => {
+      adminsOpen[admin.transport]--;
+    },
+  };
+
+  function start() {
+    Object.entries(listeners).forEach(([event, listener]) => server.on(event, listener));
+  }
+
+  function stop() {
+    Object.entries(listeners).forEach(([event, listener]) => server.off(event, listener));
+    adminsOpen = { tcp: 0, tls: 0 };
+  }
+
+  // Samples of the gauges and byte counters, computed from the live sessions
+  function liveSamples() {
+    const samples = [];
+    const bytes = {
+      tcp: { ...closedBytes.tcp },
+      tls: { ...closedBytes.tls },
+    };
+    const firmware = new Map();
+    ["tcp", "tls"].forEach((transport) => {
+      const sessions = [...server.sessions.values()].filter((session) => session.transport === transport);
+      const identified = sessions.filter((session) => session.identified);
+      samples.push(["sessions", { transport }, sessions.length]);
+      samples.push(["sessions_identified", { transport }, identified.length]);
+      sessions.forEach((session) => {
+        bytes[transport].in += session.socket.bytesRead;
+        bytes[transport].out += session.socket.bytesWritten;
+      });
+      identified.forEach((session) => firmware.set(session.fwVer, (firmware.get(session.fwVer) || 0) + 1));
+      samples.push(["device_bytes_received_total", { transport }, bytes[transport].in]);
+      samples.push(["device_bytes_sent_total", { transport }, bytes[transport].out]);
+      samples.push(["admin_connections", { transport }, adminsOpen[transport]]);
+    });
+    firmware.forEach((value, version) => samples.push(["sessions_by_firmware", { version }, value]));
+    return samples;
+  }
+
+  // The text exposition of every metric
+  function render() {
+    const samples = [
+      ...liveSamples(),
+      ...[...counters.values()].map((counter) => [counter.name, counter.labels, counter.value]),
+    ];
+    return Object.entries(METRICS)
+      .map(([name, [type, help]]) => {
+        const lines = [`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`];
+        samples
+          .filter(([sample]) => sample === name)
+          .forEach(([, labels, value]) => lines.push(`${PREFIX}_${name}${formatLabels(labels)} ${value}`));
+        return lines.join("\n");
+      })
+      .join("\n") + "\n";
+  }
+
+  return { start, stop, render };
+}
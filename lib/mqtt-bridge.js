@@ -0,0 +1,104 @@
+import mqtt from "mqtt";
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * MQTT Bridge
+ *
+ * Mirrors device traffic to an MQTT broker, using the MAC without separators
+ * (e.g. 8C4F00A55C7D) in topic names:
+ *
+ *   <prefix>/<mac>/rx      - every line the device sends (payload: the line)
+ *   <prefix>/<mac>/status  - retained JSON { event: "connect" | "close", id, mac, addr, fwVer, time }
+ *   <prefix>/<mac>/tx      - subscribed; each message is sent to the device as a command
+ *
+ * Devices appear on the bridge once identified, so lines sent before the MAC
+ * are not published. Commands go through the same queue as admin "cmd", and
+ * the reply lines come back on the rx topic.
+ */
+
+// Topic segment of a device: its MAC as 12 hex digits, never a session ID
+const MAC_SEGMENT = /^[0-9A-Fa-f]{12}$/;
+
+// log(message) reports connection state, forwarded commands and errors
+export function createMqttBridge(server, { url, username, password, clientId, prefix, qos, log }) {
+  let client = null;
+
+  const topic = (session, name) => `${prefix}/${normalizeMac(session.mac)}/${name}`;
+
+  function publishStatus(session, event) {
+    const status = {
+      event,
+      id: session.id,
+      mac: session.mac,
+      addr: session.addr,
+      fwVer: session.fwVer,
+      time: new Date().toISOString(),
+    };
+    client.publish(topic(session, "status"), JSON.stringify(status), { qos, retain: true });
+  }
+
+  const onIdentified = (session) => publishStatus(session, "connect");
+  // A replaced or duplicate session closing leaves the device online
+  const onClose = (session) => {
+    if (!session.identified) return;
+    const mac = normalizeMac(session.mac);
+    const online = [...server.sessions.values()].some(
+      (other) => other !== session && other.identified && normalizeMac(other.mac) === mac,
+    );
+    if (!online) publishStatus(session, "close");
+  };
+  const onLine = (session, line) => {
+    if (session.identified) client.publish(topic(session, "rx"), line, { qos });
+  };
+
+  // Forward <prefix>/<mac>/tx messages to the device
+  function onMessage(messageTopic, payload) {
+    const mac = messageTopic.slice(prefix.length + 1, -"/tx".length);
+    const command = payload.toString().trim();
+    if (!command) return;
+    if (!MAC_SEGMENT.test(mac)) {
+      log(`Ignored message on ${messageTopic}: ${mac} is not a MAC`);
+      return;
+    }
+
+    log(`${mac} ${command}`);
+    server.sendCommand(mac, command).catch((error) => {
+      log(`${mac} "${command}" failed: ${error.message}`);
+    });
+  }
+
+  // Connect to the broker; the client keeps reconnecting in the background
+  function start() {
+    client = mqtt.connect(url, {
+      username: username || undefined,
+      password: password || undefined,
+      clientId: clientId || undefined,
+    });
+
+    client.on("connect", () => {
+      log(`Connected to ${url}`);
+      client.subscribe(`${prefix}/+/tx`, { qos });
+    });
+    client.on("error", (error) => log(error.message));
+    client.on("message", onMessage);
+
+    server.on("session:identified", onIdentified);
+    server.on("session:close", onClose);
+    server.on("session:line", onLine);
+  }
+
+  // Mark every device offline, then disconnect from the broker
+  function stop() {
+    server.off("session:identified", onIdentified);
+    server.off("session:close", onClose);
+    server.off("session:line", onLine);
+    if (!client) return Promise.resolve();
+
+    server.sessions.forEach((session) => {
+      if (session.identified) publishStatus(session, "close");
+    });
+    return client.endAsync();
+  }
+
+  return { start, stop };
+}
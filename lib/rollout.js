@@ -0,0 +1,202 @@
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Firmware Rollout
+ *
+ * Upgrades a set of devices to a target firmware version in waves:
+ *
+ *   1. the next wave of pending devices gets the upgrade command, built from
+ *      a template with {version}, {mac} and {id} placeholders
+ *   2. a device counts as upgraded once it reports FIRMWARE_VERSION=<version>,
+ *      normally after rebooting and reconnecting
+ *   3. it fails if it reports another version from a new connection, cannot
+ *      be sent the command, or does not finish within the upgrade timeout
+ *   4. the next wave starts when every device of the current one is done
+ *
+ * The rollout halts by itself once more than maxFailures devices failed. Only
+ * one rollout runs at a time and it is kept in memory.
+ */
+
+// Command errors that mean the device never got the command; others (CLOSED,
+// TIMEOUT) are expected while a device reboots into the new firmware
+const SEND_FAILURES = ["NOT_FOUND", "NOT_WRITABLE", "WRITE_FAILED"];
+
+// "10" -> 10 devices, "25%" -> a quarter of total (at least 1); null if invalid
+export function parseWaveSize(text, total) {
+  const match = String(text).match(/^(\d+)(%)?$/);
+  if (!match || Number(match[1]) === 0) return null;
+  if (!match[2]) return Number(match[1]);
+  if (Number(match[1]) > 100) return null;
+  return Math.max(1, Math.ceil((total * Number(match[1])) / 100));
+}
+
+// log(message) reports progress: waves, upgrades, failures, halts
+export function createRollout(server, { command, timeout, maxFailures, log }) {
+  let rollout = null;
+  let lastId = 0;
+
+  function counts() {
+    const result = { pending: 0, upgrading: 0, done: 0, failed: 0 };
+    rollout.devices.forEach((device) => result[device.state]++);
+    return result;
+  }
+
+  function finish(device, state, reason) {
+    clearTimeout(device.timer);
+    if (!rollout.devices.includes(device)) return; // Left over from a replaced rollout
+    device.state = state;
+    device.reason = reason;
+    device.finished = new Date().toISOString();
+    if (state === "done") {
+      log(`${device.mac} upgraded to ${rollout.version}`);
+    } else {
+      log(`${device.mac} failed: ${reason}`);
+    }
+
+    const { failed } = counts();
+    if (rollout.state === "running" && failed > maxFailures) {
+      rollout.state = "halted";
+      log(`Halted: ${failed} devices failed (max ${maxFailures})`);
+      return;
+    }
+    advance();
+  }
+
+  function send(device) {
+    const session = server.findSession(device.mac);
+    device.started = new Date().toISOString();
+    if (!session || !session.identified) {
+      finish(device, "failed", "offline");
+      return;
+    }
+    device.sessionId = session.id;
+    device.timer = setTimeout(() => finish(device, "failed", "timeout"), timeout);
+    device.timer.unref();
+
+    const cmd = command
+      .replace(/\{version\}/g, rollout.version)
+      .replace(/\{mac\}/g, device.mac)
+      .replace(/\{id\}/g, String(session.id));
+    server.sendCommand(session.id, cmd).catch((error) => {
+      if (device.state === "upgrading" && SEND_FAILURES.includes(error.code)) {
+        finish(device, "failed", error.message);
+      }
+    });
+  }
+
+  // Start the next wave when the current one is over
+  function advance() {
+    if (rollout.state !== "running") return;
+    if (rollout.devices.some((device) => device.state === "upgrading")) return;
+
+    const pending = rollout.devices.filter((device) => device.state === "pending");
+    if (pending.length === 0) {
+      rollout.state = "complete";
+      rollout.finished = new Date().toISOString();
+      const { done, failed } = counts();
+      log(`Complete: ${done} upgraded, ${failed} failed`);
+      return;
+    }
+
+    rollout.wave++;
+    const wave = pending.slice(0, rollout.waveSize);
+    log(`Wave ${rollout.wave}: ${wave.map((device) => device.mac).join(", ")}`);
+    // The whole wave is marked first, so an immediate failure (an offline
+    // device) does not start the next wave early
+    wave.forEach((device) => {
+      device.wave = rollout.wave;
+      device.state = "upgrading";
+    });
+    wave.forEach((device) => {
+      if (rollout.state === "running") {
+        send(device);
+      } else {
+        // Halted by an earlier failure in this wave; not sent
+        device.state = "pending";
+        device.wave = null;
+      }
+    });
+  }
+
+  const onChange = (session, key, from, to) => {
+    if (key !== "fwVer" || !rollout) return;
+    const device = rollout.devices.find(
+      (entry) => entry.state === "upgrading" && entry.mac === normalizeMac(session.mac),
+    );
+    if (!device) return;
+    if (to === rollout.version) finish(device, "done", null);
+    else if (session.id !== device.sessionId) finish(device, "failed", `came back with ${to}`);
+  };
+
+  // Start a rollout of version to the devices with the given MACs.
+  // Throws if one is already active.
+  function start({ version, macs, waveSize, owner = null }) {
+    if (rollout && ["running", "paused"].includes(rollout.state)) {
+      throw new Error(`Rollout to ${rollout.version} is ${rollout.state}; abort it first`);
+    }
+    stop(); // Clear the timers of the halted rollout this one replaces
+    rollout = {
+      id: ++lastId,
+      version,
+      waveSize,
+      owner,
+      state: "running",
+      wave: 0,
+      started: new Date().toISOString(),
+      finished: null,
+      devices: macs.map((mac) => ({ mac: normalizeMac(mac), state: "pending", wave: null, reason: null })),
+    };
+    server.on("session:change", onChange);
+    log(`#${rollout.id} starting ${version} on ${macs.length} devices, ${waveSize} per wave`);
+    advance();
+    return status();
+  }
+
+  // Stop starting new waves; devices already upgrading are still tracked
+  function pause() {
+    if (!rollout || rollout.state !== "running") throw new Error("No running rollout");
+    rollout.state = "paused";
+  }
+
+  // Continue a paused or halted rollout
+  function resume() {
+    if (!rollout || !["paused", "halted"].includes(rollout.state)) {
+      throw new Error("No paused or halted rollout");
+    }
+    rollout.state = "running";
+    advance();
+  }
+
+  // Give up: no further waves, and devices still upgrading are not tracked
+  function abort() {
+    if (!rollout || ["complete", "aborted"].includes(rollout.state)) throw new Error("No active rollout");
+    rollout.state = "aborted";
+    rollout.finished = new Date().toISOString();
+    stop();
+  }
+
+  function stop() {
+    server.off("session:change", onChange);
+    if (rollout) rollout.devices.forEach((device) => clearTimeout(device.timer));
+  }
+
+  // { id, version, state, wave, waveSize, counts, devices: [...] } or null
+  function status() {
+    if (!rollout) return null;
+    const devices = rollout.devices.map(({ timer, ...device }) => device);
+    return {
+      id: rollout.id,
+      version: rollout.version,
+      state: rollout.state,
+      wave: rollout.wave,
+      waveSize: rollout.waveSize,
+      owner: rollout.owner,
+      started: rollout.started,
+      finished: rollout.finished,
+      counts: counts(),
+      devices,
+    };
+  }
+
+  return { start, pause, resume, abort, stop, status };
+}
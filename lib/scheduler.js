@@ -0,0 +1,272 @@
+import fs from "fs";
+import path from "path";
+
+/*
+ * Command Scheduler
+ *
+ * Runs admin commands on a schedule:
+ *
+ *   every <duration> <command>     - repeatedly, e.g. every 10m cmdall SYS
+ *   cron <m> <h> <dom> <mon> <dow> <command>
+ *                                  - at matching minutes, e.g. cron *\/5 * * * * ...
+ *   at <time> <command>            - once, at HH:MM, a date (2026-02-01T08:00)
+ *                                    or after a duration (+90m)
+ *
+ * Jobs are saved to a JSON file when one is configured, so they survive
+ * restarts. One-shot jobs whose time passed while the server was down are
+ * dropped rather than run late.
+ */
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// setTimeout delays above this overflow to 1 ms
+const MAX_DELAY = 2 ** 31 - 1;
+
+// "90s", "10m", "2h", "1d", "1w" -> milliseconds, or null
+export function parseDuration(text) {
+  const match = String(text).match(/^(\d+)([smhdw])$/i);
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * UNITS[match[2].toLowerCase()] * 1000;
+}
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+// One cron field ("*", "*/15", "1-5", "0,30", "8-18/2") -> Set of values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(",").forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    const from = match[1] === "*" ? min : Number(match[2]);
+    const to = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+// "m h dom mon dow" -> { minute, hour, dom, month, dow, anyDom, anyDow }; throws on errors
+export function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): ${expression}`);
+  }
+  const [minute, hour, dom, month, dow] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, anyDom: fields[2] === "*", anyDow: fields[4] === "*" };
+}
+
+// First time after `after` matching a parsed cron expression (local time), or null
+export function nextCronTime(cron, after = new Date()) {
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  // Days match when either field matches if both are restricted (as in cron)
+  const dayMatches = (date) => {
+    const dom = cron.dom.has(date.getDate());
+    const dow = cron.dow.has(date.getDay());
+    if (cron.anyDom || cron.anyDow) return dom && dow;
+    return dom || dow;
+  };
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    if (
+      cron.minute.has(time.getMinutes()) &&
+      cron.hour.has(time.getHours()) &&
+      cron.month.has(time.getMonth() + 1) &&
+      dayMatches(time)
+    ) {
+      return time;
+    }
+    time.setMinutes(time.getMinutes() + 1);
+  }
+  return null;
+}
+
+// "HH:MM[:SS]" (next occurrence), "+<duration>" or a date -> Date, or null
+function parseAt(text, now = new Date()) {
+  if (text.startsWith("+")) {
+    const duration = parseDuration(text.slice(1));
+    return duration ? new Date(now.getTime() + duration) : null;
+  }
+  const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const [hours, minutes, seconds] = [clock[1], clock[2], clock[3] || 0].map(Number);
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    const time = new Date(now.getTime());
+    time.setHours(hours, minutes, seconds, 0);
+    if (time <= now) time.setDate(time.getDate() + 1);
+    return time;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// "every 10m cmdall SYS" -> { kind, spec, command }; throws with a usage hint
+export function parseSchedule(text, now = new Date()) {
+  const words = text.trim().split(/\s+/);
+  const kind = (words[0] || "").toLowerCase();
+  const take = { every: 1, at: 1, cron: 5 }[kind];
+  if (!take) throw new Error("Schedule must start with every, cron or at");
+  const spec = words.slice(1, 1 + take).join(" ");
+  const command = words.slice(1 + take).join(" ");
+  if (!command) throw new Error(`Missing command after "${kind} ${spec}"`);
+
+  if (kind === "every" && !parseDuration(spec)) {
+    throw new Error(`Invalid interval ${spec} (use e.g. 30s, 10m, 2h, 1d)`);
+  }
+  if (kind === "cron") parseCron(spec);
+  if (kind === "at") {
+    const time = parseAt(spec, now);
+    if (!time) throw new Error(`Invalid time ${spec} (use HH:MM, a date or +30m)`);
+    if (time <= now) throw new Error(`Time ${spec} is in the past`);
+    return { kind, spec: time.toISOString(), command };
+  }
+  return { kind, spec, command };
+}
+
+// run(job) executes a due job's command; log(message) reports dropped jobs
+export function createScheduler({ file = null, run, log = () => {}, onError = () => {} }) {
+  const jobs = new Map(); // Job ID -> job
+  const timers = new Map(); // Job ID -> timeout
+  let nextId = 1;
+  let running = false;
+
+  function save() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify([...jobs.values()], null, 2) + "\n");
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  // Next run of a job after `after`, or null when it will not run again
+  function nextRun(job, after) {
+    if (job.kind === "every") {
+      return new Date(after.getTime() + parseDuration(job.spec));
+    }
+    if (job.kind === "cron") return nextCronTime(parseCron(job.spec), after);
+    return job.runs === 0 ? new Date(job.spec) : null;
+  }
+
+  function arm(job) {
+    clearTimeout(timers.get(job.id));
+    const delay = Date.parse(job.nextRun) - Date.now();
+    const timer = setTimeout(() => {
+      // Long delays are split to stay within the setTimeout range
+      if (Date.now() < Date.parse(job.nextRun)) arm(job);
+      else fire(job);
+    }, Math.max(0, Math.min(delay, MAX_DELAY)));
+    timer.unref();
+    timers.set(job.id, timer);
+  }
+
+  function fire(job) {
+    job.runs++;
+    job.lastRun = new Date().toISOString();
+    const next = nextRun(job, new Date());
+    if (next) {
+      job.nextRun = next.toISOString();
+      arm(job);
+    } else {
+      jobs.delete(job.id);
+      timers.delete(job.id);
+    }
+    save();
+    try {
+      run(job);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Cannot read schedule file ${file}: ${e.message}`);
+    }
+    const now = new Date();
+    saved.forEach((job) => {
+      nextId = Math.max(nextId, job.id + 1);
+      if (job.kind === "at") {
+        if (Date.parse(job.nextRun) < now.getTime()) {
+          log(`#${job.id} missed (was due ${job.nextRun}): ${job.command}`);
+          return;
+        }
+      } else {
+        // Recurring jobs continue from now rather than catching up
+        const next = nextRun(job, now);
+        if (!next) return;
+        job.nextRun = next.toISOString();
+      }
+      jobs.set(job.id, job);
+    });
+  }
+
+  function start() {
+    load();
+    running = true;
+    jobs.forEach(arm);
+    save();
+  }
+
+  function stop() {
+    running = false;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  }
+
+  // Add a job from "every 10m cmdall SYS" style text; throws on invalid input
+  function add(text, owner = null) {
+    const { kind, spec, command } = parseSchedule(text);
+    const job = {
+      id: nextId++,
+      kind,
+      spec,
+      command,
+      owner,
+      created: new Date().toISOString(),
+      runs: 0,
+      lastRun: null,
+      nextRun: null,
+    };
+    const next = nextRun(job, new Date());
+    if (!next) throw new Error(`${kind} ${spec} never matches`);
+    job.nextRun = next.toISOString();
+    jobs.set(job.id, job);
+    if (running) arm(job);
+    save();
+    return job;
+  }
+
+  // Remove a job; returns it, or null if there is no such job
+  function remove(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    jobs.delete(id);
+    save();
+    return job;
+  }
+
+  function list() {
+    return [...jobs.values()];
+  }
+
+  return { start, stop, add, remove, list };
+}
@@ -0,0 +1,2242 @@
+import net from "net";
+import http from "http";
+import https from "https";
+import readline from "readline";
+import moment from "moment";
+import tls from "tls";
+import fs from "fs";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { createAdminAuthenticator } from "./admin-auth.js";
+import { createDevicePolicy, normalizeMac } from "./device-policy.js";
+import { resolveConfig } from "./config.js";
+import { createLineFramer } from "./line-framer.js";
+import { createHttpApi } from "./http-api.js";
+import { createDashboard } from "./dashboard.js";
+import { createMqttBridge } from "./mqtt-bridge.js";
+import { createHistory, parseSince } from "./history.js";
+import { createDeviceLogs } from "./device-logs.js";
+import { CATEGORIES, createSubscription } from "./subscription.js";
+import { TAG_NAME, createTags } from "./tags.js";
+import { createScheduler, parseSchedule } from "./scheduler.js";
+import { createHeartbeat } from "./heartbeat.js";
+import { createFloodGuard } from "./flood-guard.js";
+import { createCommandQueue } from "./command-queue.js";
+import { createRollout, parseWaveSize } from "./rollout.js";
+import { createMetrics } from "./metrics.js";
+
+/*
+ * Remote Admin Server
+ *
+ * Manages remote device connections and admin connections. Create one with
+ * createRemoteAdminServer(options) and call start(); remote-admin.js is the
+ * command-line wrapper around it.
+ *
+ * Options:
+ *   config  - partial settings shaped like DEFAULTS in lib/config.js
+ *   logger  - object with log/warn/error used for local output (default: console)
+ *
+ * Events:
+ *   session:connect    (session)        - device socket accepted
+ *   session:identified (session)        - device announced a MAC and passed the policy
+ *   session:line       (session, line)  - complete line received from a device
+ *   session:close      (session)        - device socket closed, session removed
+ *   session:rejected   (session, reason) - device refused by the policy or login timeout
+ *   session:error      (session, error)  - device socket error
+ *   session:timeout    (session, reason) - device idle or heartbeat timeout
+ *   session:stale      (session, missed) - device left heartbeat probes unanswered
+ *   session:change     (session, key, from, to) - device attribute (fwVer, trace, ...) changed
+ *   session:command    (session, cmd)   - command written to a device
+ *   session:duplicate  (session, previous, policy) - identified MAC already has a session
+ *   admin:command      ({ line, admin }) - admin command about to be processed
+ *                                         (admin is undefined for the local console)
+ *   admin:connect      (admin)          - admin connection accepted
+ *   admin:close        (admin)          - admin connection closed
+ *   command:error      (code, session)  - command failed (session null if not sent)
+ *   connection:refused (addr, reason)   - device connection refused by the flood limits
+ */
+
+// Protocol constants; not configurable
+export const PROTOCOL = {
+  STATUS: {
+    CONNECT: "connect",
+    CLOSE: "close",
+  },
+  LOG_PREFIX: {
+    CONN: "[CONN]",
+    DEV_NOT_VALID: "[DEV NOT VALID]",
+    MSG_LINE: "[MGS LINE]",
+    MAC: "[MAC]",
+    ERROR: "[ERROR]",
+    CLOSE: "[CLOSE]",
+    TIMEOUT: "[TIMEOUT]",
+    END: "[END]",
+    ADMIN_CONN: "[ADMIN CONN]",
+    ADMIN_CLOSE: "[ADMIN CLOSE]",
+    ADMIN_ERROR: "[ADMIN ERROR]",
+    ADMIN_TIMEOUT: "[ADMIN TIMEOUT]",
+    ADMIN_END: "[ADMIN END]",
+    ADMIN_CMD: "[ADMIN]",
+    ADMIN_LOGIN: "[ADMIN LOGIN]",
+    ADMIN_AUTH_FAIL: "[ADMIN AUTH FAIL]",
+    AUTH: "[AUTH]",
+    CMD: "[CMD]",
+    CMD_ERROR: "[CMD ERROR]",
+    CMD_RESULT: "[CMD RESULT]",
+    DROP: "[DROP]",
+    DROP_ERROR: "[DROP ERROR]",
+    SERVER_START: "[SERVER START]",
+    SESS_INFO: "[SESS]",
+    MQTT: "[MQTT]",
+    HISTORY: "[HISTORY]",
+    CAPTURE: "[CAPTURE]",
+    WATCH: "[WATCH]",
+    DUP: "[DUP]",
+    TAG: "[TAG]",
+    SCHEDULE: "[SCHEDULE]",
+    QUEUE: "[QUEUE]",
+    ROLLOUT: "[ROLLOUT]",
+    FORMAT: "[FORMAT]",
+    STALE: "[STALE]",
+    FLOOD: "[FLOOD]",
+    TLS: "[TLS]",
+    SHUTDOWN: "[SHUTDOWN]",
+    SHOW: "[SHOW]",
+  },
+  COMMANDS: {
+    // Command patterns (all case-insensitive)
+    LS: /^ls\s*(.*)$/i,
+    SHOW: /^show\s+(\S+)(?:\s+(\d+))?$/i,
+    CMD_MAC:
+      /^cmd\s+((?:[0-9a-fA-F]{2}[:-]?){5}[0-9a-fA-F]{2}(?:(?:,)(?:[0-9a-fA-F]{2}[:-]?){5}[0-9a-fA-F]{2})*)\s+(.+)$/i,
+    CMD_ID: /^cmd\s+([0-9A-Fa-f,]+)\s+(.+)/i,
+    CMD_GROUP: /^cmd\s+@(\S+)\s+(.+)$/i,
+    CMDALL: /^cmdall\s+(.+)$/i,
+    DROP: /^drop\s+([0-9A-Fa-f]+)$/i,
+    DROP_GROUP: /^drop\s+@(\S+)$/i,
+    TAG: /^tag\s+(\S+)\s+@?(\S+)$/i,
+    UNTAG: /^untag\s+(\S+)(?:\s+@?(\S+))?$/i,
+    TAGS: /^tags(?:\s+@?(\S+))?$/i,
+    SCHEDULE: /^schedule(?:\s+(add|ls|rm)(?:\s+(.+))?)?$/i,
+    CMD_QUEUE: /^cmd\s+--queue\s+(\S+)\s+(.+)$/i,
+    QUEUE_LS: /^queue(?:\s+ls(?:\s+(\S+))?)?$/i,
+    QUEUE_CLEAR: /^queue\s+clear(?:\s+(\S+))?$/i,
+    QUEUE: /^queue\s+(\S+)\s+(.+)$/i,
+    ROLLOUT: /^rollout\s+(start|status|pause|resume|abort)(?:\s+(.+))?$/i,
+    HISTORY: /^history\s+(\S+)(?:\s+(\S+))?$/i,
+    CAPTURE: /^capture(?:\s+(on|off)(?:\s+(\S+))?)?$/i,
+    WATCH: /^watch(?:\s+(.+))?$/i,
+    UNWATCH: /^unwatch(?:\s+(.+))?$/i,
+    MUTE: /^(mute|unmute)(?:\s+(\S+))?$/i,
+    FORMAT: /^format(?:\s+(json|text))?$/i,
+    BANS: /^bans(?:\s+(clear)(?:\s+(\S+))?)?$/i,
+    RELOAD: /^reload$/i,
+    // Accepted before an admin connection has authenticated
+    LOGIN: /^login\s+(\S+)\s+(.+)$/i,
+    TOKEN: /^token\s+(\S+)$/i,
+  },
+  // Device answer to an "AUTH <nonce>" challenge
+  DEVICE_AUTH_REPLY: /^AUTH\s+(\S+)$/i,
+  // A full MAC address, with or without separators
+  MAC_TARGET: /^(?:[0-9a-fA-F]{2}[:-]?){5}[0-9a-fA-F]{2}$/,
+};
+
+// Parse ID from string - supports both decimal and hexadecimal
+export function parseId(idStr) {
+  // Auto-detect: if starts with '0x' or contains A-F, use hex base
+  const isHex = idStr.startsWith('0x') || /[A-Fa-f]/.test(idStr);
+  return parseInt(idStr, isHex ? 16 : 10);
+}
+
+// Format uptime duration
+export function formatUptime(startTime) {
+  const duration = moment.duration(moment().diff(startTime));
+  const days = Math.floor(duration.asDays());
+  const timeFormat = moment.utc(duration.asMilliseconds()).format("HH:mm:ss");
+  return `${days} days, ${timeFormat}`;
+}
+
+// Error for a command that could not be delivered or answered.
+// code is one of NOT_FOUND, NOT_WRITABLE, WRITE_FAILED, TIMEOUT, CLOSED.
+export class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CommandError";
+    this.code = code;
+  }
+}
+
+export function createRemoteAdminServer(options = {}) {
+  const CONFIG = { ...resolveConfig(options.config), ...PROTOCOL };
+  const logger = options.logger || console;
+  const server = new EventEmitter();
+
+  // Server state
+  const state = {
+    sessions: new Map(), // Store sessions in Map for efficient ID-based lookup and removal
+    admins: new Set(), // Store admin connections in Set for easy add/remove
+    sessionIdCounter: 1000, // Session ID counter starting value
+    listeners: new Map(), // Listener name (RC, ADMIN, ...) -> net/tls server
+    closing: new Map(), // Listener -> promise resolved once it and its connections are closed
+    adminSockets: new Set(), // Every admin socket, logged in or not, for stop()
+    macs: new Map(), // Normalized MAC -> { reconnects, lastDisconnect }, kept across sessions
+  };
+  let adminAuth = null;
+  let devicePolicy = null;
+  let dashboard = null; // Browser dashboard, when the HTTP listener serves it
+  let metrics = null; // Prometheus metrics, when the HTTP listener serves them
+  let mqttBridge = null; // MQTT bridge, when a broker is configured
+  let history = null; // Event history, when a history file is configured
+  let deviceLogs = null; // Per-device log files, created on start
+  let tags = null; // Device groups, loaded on start
+  let scheduler = null; // Scheduled admin commands, loaded on start
+  let heartbeat = null; // Device heartbeat probes, when an interval is configured
+  let tlsCert = null; // Server certificate in use, when a TLS listener is enabled
+  let certificateTimer = null; // Daily certificate expiry check
+  const commandQueue = createCommandQueue({
+    expiry: CONFIG.QUEUE.EXPIRY,
+    maxPerDevice: CONFIG.QUEUE.MAX_PER_DEVICE,
+  });
+  const rollout = createRollout(server, {
+    command: CONFIG.ROLLOUT.COMMAND,
+    timeout: CONFIG.ROLLOUT.TIMEOUT,
+    maxFailures: CONFIG.ROLLOUT.MAX_FAILURES,
+    log: (message) => logToAdmins(`${CONFIG.LOG_PREFIX.ROLLOUT} ${message}`),
+  });
+  const floodGuard = createFloodGuard({
+    maxSessions: CONFIG.LIMITS.MAX_SESSIONS,
+    maxUnidentified: CONFIG.LIMITS.MAX_UNIDENTIFIED,
+    connectionsPerIp: CONFIG.FLOOD.CONNECTIONS_PER_IP,
+    window: CONFIG.FLOOD.WINDOW,
+    banTime: CONFIG.FLOOD.BAN_TIME,
+    exempt: CONFIG.FLOOD.EXEMPT,
+    maxLineRate: CONFIG.LIMITS.MAX_LINE_RATE,
+    summaryInterval: CONFIG.FLOOD.SUMMARY_INTERVAL,
+    log: (message) => logToAdmins(`${CONFIG.LOG_PREFIX.FLOOD} ${message}`),
+  });
+
+  // --- Helper Functions ---
+
+  // The line written to an admin: the text message, or for admins in JSON
+  // mode one JSON object (data, or a generic object wrapping the text)
+  function formatForAdmin(admin, timestamp, message, data) {
+    if (admin.format !== "json") {
+      return `[${timestamp}]${message}\n`;
+    }
+    return JSON.stringify({ time: timestamp, ...data }) + "\n";
+  }
+
+  // Send message to all connected admins whose subscription wants it.
+  // category is "lines", "events", "commands" or "system"; session is the
+  // device the message is about, used for watch matching. data is what
+  // admins in JSON mode receive instead of the text.
+  function logToAdmins(message, category = "system", session = null, data = null) {
+    const timestamp = moment().format();
+    const fullMessage = `[${timestamp}]${message}`;
+    logger.log(fullMessage); // Local output
+
+    const json = data || { type: "log", category, message };
+    state.admins.forEach((admin) => {
+      try {
+        // Check if socket is writable before attempting write
+        if (
+          admin.socket &&
+          admin.socket.writable &&
+          admin.subscription.wants(message, category, session)
+        ) {
+          admin.socket.write(formatForAdmin(admin, timestamp, message, json));
+        }
+      } catch (error) {
+        logger.error("Admin write error:", error.message);
+      }
+    });
+  }
+
+  // Send message only to the admin that issued a command (local console if none).
+  // JSON-mode admins receive data (default { type: "reply", message }) tagged
+  // with the requestId of the command being answered. Scheduled jobs run as
+  // admins with an onReply hook instead of a socket.
+  function replyToAdmin(admin, message, data = null, requestId = admin && admin.requestId) {
+    const timestamp = moment().format();
+    if (!admin) {
+      logger.log(`[${timestamp}]${message}`);
+      return;
+    }
+    if (admin.onReply) {
+      admin.onReply(message);
+      return;
+    }
+
+    const json = { ...(data || { type: "reply", message }) };
+    if (requestId !== undefined) json.requestId = requestId;
+    try {
+      if (admin.socket && admin.socket.writable) {
+        admin.socket.write(formatForAdmin(admin, timestamp, message, json));
+      }
+    } catch (error) {
+      logger.error("Admin write error:", error.message);
+    }
+  }
+
+  // Confirm a change that was broadcast with logToAdmins to the admin who made
+  // it. The broadcast has no requestId and may be muted, so a JSON request is
+  // also answered with { type: "ok", message, ...data }.
+  function confirmToAdmin(admin, message, data = {}) {
+    if (!admin || admin.requestId === undefined) return;
+    replyToAdmin(admin, message, { type: "ok", message, ...data });
+  }
+
+  // JSON form of a session event ("connect", "identified", "close", ...)
+  function sessionEvent(event, session, details = {}) {
+    return {
+      type: "event",
+      event,
+      id: session.id,
+      mac: session.mac,
+      token: session.token,
+      addr: session.addr,
+      ...details,
+    };
+  }
+
+  // Find session by ID
+  function findSessionById(id) {
+    return state.sessions.get(id);
+  }
+
+  // Find session by MAC address, with or without separators. When several
+  // sessions share the MAC (duplicate policy "keep"), the newest identified
+  // one wins, since an older one is most likely a dead connection.
+  function findSessionByMac(mac) {
+    const wanted = normalizeMac(mac);
+    let found;
+    for (const session of state.sessions.values()) {
+      if (normalizeMac(session.mac) === wanted && (session.identified || !found || !found.identified)) {
+        found = session;
+      }
+    }
+    return found;
+  }
+
+  // Reconnect counter and last disconnect of a MAC
+  function macStats(mac) {
+    return state.macs.get(normalizeMac(mac)) || { reconnects: 0, lastDisconnect: null };
+  }
+
+  // Find session by numeric ID, ID string (decimal or hex) or MAC
+  function findSession(target) {
+    if (typeof target === "number") {
+      return findSessionById(target);
+    }
+    const text = String(target).trim();
+    return CONFIG.MAC_TARGET.test(text)
+      ? findSessionByMac(text)
+      : findSessionById(parseId(text));
+  }
+
+  // Plain-object view of a session for APIs (no socket or internal state)
+  function describeSession(session) {
+    return {
+      id: session.id,
+      token: session.token,
+      mac: session.mac,
+      status: session.status,
+      identified: session.identified,
+      addr: session.addr,
+      transport: session.transport,
+      start: session.start.toISOString(),
+      uptime: formatUptime(session.start),
+      uptimeSeconds: Math.floor(moment().diff(session.start) / 1000),
+      trace: session.trace,
+      fwVer: session.fwVer,
+      bleMac: session.bleMac,
+      wifiMac: session.wifiMac,
+      wlanFwVer: session.wlanFwVer,
+      pendingCommands: session.requests.length,
+      bytesIn: session.socket.bytesRead,
+      bytesOut: session.socket.bytesWritten,
+      ...session.counters,
+      duplicate: session.duplicate,
+      lastSeen: session.lastSeen.toISOString(),
+      stale: session.stale,
+      missedHeartbeats: session.missedHeartbeats,
+      reconnects: macStats(session.mac).reconnects,
+      lastDisconnect: macStats(session.mac).lastDisconnect,
+      tags: tags && session.identified ? tags.tagsOf(session.mac) : [],
+    };
+  }
+
+  // Write one line to a device, counted for "show"
+  function writeLine(session, text) {
+    session.counters.linesOut++;
+    return session.socket.write(`${text}\n`);
+  }
+
+  // --- Command Request/Response Correlation ---
+
+  // Queue a command for a session and collect the device's reply.
+  // Only the request at the head of the queue is written to the device, so every
+  // received line can be attributed to exactly one pending command.
+  // done(error, result) is called once with a CommandError or
+  // { id, mac, token, cmd, lines, complete: "terminator" | "quiet" }.
+  function sendRequest(session, cmd, done) {
+    session.requests.push({ cmd, done, lines: [], timer: null, quietTimer: null });
+    if (session.requests.length === 1) {
+      startRequest(session);
+    }
+  }
+
+  function startRequest(session) {
+    const request = session.requests[0];
+    if (!request) return;
+
+    request.timer = setTimeout(
+      () => finishRequest(session, "timeout"),
+      CONFIG.COMMAND_RESPONSE.TIMEOUT,
+    );
+
+    try {
+      writeLine(session, request.cmd);
+      session.counters.commandsSent++;
+      server.emit("session:command", session, request.cmd);
+    } catch (error) {
+      finishRequest(session, "error", error.message);
+    }
+  }
+
+  // Feed a device line to the pending request, if any
+  function collectResponseLine(session, line) {
+    const request = session.requests[0];
+    if (!request || !request.timer) return;
+
+    request.lines.push(line);
+    clearTimeout(request.quietTimer);
+
+    if (CONFIG.COMMAND_RESPONSE.TERMINATOR.test(line)) {
+      finishRequest(session, "terminator");
+      return;
+    }
+    request.quietTimer = setTimeout(
+      () => finishRequest(session, "quiet"),
+      CONFIG.COMMAND_RESPONSE.QUIET_PERIOD,
+    );
+  }
+
+  // Complete the head request, report its outcome and start the next one
+  function finishRequest(session, reason, detail) {
+    const request = session.requests.shift();
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    clearTimeout(request.quietTimer);
+
+    const target = `Device ID ${session.id} (${session.mac})`;
+    if (reason === "terminator" || reason === "quiet") {
+      request.done(null, {
+        id: session.id,
+        mac: session.mac,
+        token: session.token,
+        cmd: request.cmd,
+        lines: request.lines,
+        complete: reason,
+      });
+    } else {
+      const error =
+        reason === "timeout"
+          ? new CommandError(
+              "TIMEOUT",
+              `${target} no complete reply to "${request.cmd}" within ${CONFIG.COMMAND_RESPONSE.TIMEOUT}ms (${request.lines.length} lines received)`,
+            )
+          : new CommandError(
+              reason === "closed" ? "CLOSED" : "WRITE_FAILED",
+              `${target} "${request.cmd}" failed: ${detail}`,
+            );
+      commandFailed(error.code, session);
+      request.done(error);
+    }
+
+    // A closed session fails everything still queued
+    if (reason === "closed") {
+      while (session.requests.length > 0) {
+        finishRequest(session, "closed", detail);
+      }
+      return;
+    }
+    startRequest(session);
+  }
+
+  // Completion callback that reports a request to the admin that issued it
+  function replyWithResult(admin) {
+    const requestId = admin && admin.requestId; // Still known when the reply arrives
+    return (error, result) => {
+      if (error) {
+        replyToAdmin(
+          admin,
+          `${CONFIG.LOG_PREFIX.CMD_ERROR} ${error.message}`,
+          { type: "error", code: error.code, message: error.message },
+          requestId,
+        );
+        return;
+      }
+      const body = result.lines.map((line) => `\n  ${line}`).join("");
+      replyToAdmin(
+        admin,
+        `${CONFIG.LOG_PREFIX.CMD_RESULT}[${result.id}][${result.token}] ${result.cmd} (${result.lines.length} lines)${body}`,
+        { type: "result", ...result },
+        requestId,
+      );
+    };
+  }
+
+  // --- Remote Device Connection Handler ---
+
+  function handleRemoteConnection(socket) {
+    // Refused before anything is allocated or broadcast
+    const refusal = floodGuard.admit(socket.remoteAddress, {
+      sessions: state.sessions.size,
+      unidentified: [...state.sessions.values()].filter((session) => !session.identified).length,
+    });
+    if (refusal) {
+      server.emit("connection:refused", socket.remoteAddress, refusal);
+      socket.destroy();
+      return;
+    }
+
+    socket.setKeepAlive(true, CONFIG.TIMEOUTS.KEEP_ALIVE);
+    if (CONFIG.TIMEOUTS.DEVICE_IDLE) socket.setTimeout(CONFIG.TIMEOUTS.DEVICE_IDLE);
+
+    const sessionId = ++state.sessionIdCounter;
+    const session = {
+      id: sessionId,
+      status: CONFIG.STATUS.CONNECT,
+      token: CONFIG.SESSION_DEFAULTS.TOKEN,
+      mac: CONFIG.SESSION_DEFAULTS.MAC,
+      trace: CONFIG.SESSION_DEFAULTS.TRACE,
+      fwVer: CONFIG.SESSION_DEFAULTS.FW_VER,
+      addr: socket.remoteAddress,
+      socket: socket,
+      start: moment(),
+      lastSeen: moment(), // Last line received (connect time until the first)
+      stale: false, // Heartbeat probes went unanswered
+      missedHeartbeats: 0,
+      counters: { linesIn: 0, linesOut: 0, commandsSent: 0, commandErrors: 0 }, // Shown by "show"
+      recentLines: [], // Last LIMITS.RECENT_LINES lines received, as { time, line }
+      // Additional properties extracted later - matches remote-server.js
+      bleMac: CONFIG.SESSION_DEFAULTS.BLE_MAC,
+      wifiMac: CONFIG.SESSION_DEFAULTS.WIFI_MAC,
+      wlanFwVer: CONFIG.SESSION_DEFAULTS.WLAN_FW_VER,
+      requests: [], // Pending admin commands awaiting a reply, oldest first
+      identified: false, // Set once the device policy accepts the announced MAC
+      duplicate: false, // Shares its MAC with another session (duplicate policy "keep")
+      closeReason: null, // Why the connection ended, set by whoever closes it
+      transport: socket.encrypted ? "tls" : "tcp",
+    };
+
+    state.sessions.set(sessionId, session);
+    logToAdmins(
+      `${CONFIG.LOG_PREFIX.CONN} ID:${sessionId} ${session.addr}`,
+      "events",
+      session,
+      sessionEvent("connect", session),
+    );
+    server.emit("session:connect", session);
+
+    function rejectDevice(reason) {
+      session.closeReason = `rejected: ${reason}`;
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.DEV_NOT_VALID} ${session.addr} ${session.mac} ${reason}`,
+        "events",
+        session,
+        sessionEvent("rejected", session, { reason }),
+      );
+      server.emit("session:rejected", session, reason);
+      socket.end("Not Valid\n"); // Graceful end first
+      socket.destroy(); // Ensure complete shutdown
+      // No need to remove from sessions here, 'close' event will handle it
+    }
+
+    // Set login validation timeout
+    const validationTimeout = setTimeout(() => {
+      // MAC and device policy checks must both complete in time
+      if (!session.identified) {
+        rejectDevice(
+          session.mac === CONFIG.SESSION_DEFAULTS.MAC
+            ? "no MAC received"
+            : "authentication not completed",
+        );
+      }
+    }, CONFIG.TIMEOUTS.LOGIN_VALIDATION);
+
+    // Challenge-response support for the device policy: send a prompt and
+    // resolve with the device's AUTH reply (null if the connection closes first)
+    let pendingChallenge = null;
+    function challenge(prompt) {
+      return new Promise((resolve) => {
+        pendingChallenge = resolve;
+        writeLine(session, prompt);
+      });
+    }
+
+    // Run the device policy on the announced MAC, then start the session
+    function identifyDevice() {
+      devicePolicy
+        .authorize({
+          mac: session.mac,
+          addr: session.addr,
+          session,
+          certificate: socket.authorized ? socket.getPeerCertificate() : null,
+          challenge,
+        })
+        .then((decision) => {
+          if (session.status === CONFIG.STATUS.CLOSE) return;
+          if (!decision.allowed) {
+            rejectDevice(decision.reason);
+            return;
+          }
+          if (!handleDuplicateMac()) return;
+
+          const key = normalizeMac(session.mac);
+          const stats = state.macs.get(key);
+          if (stats) stats.reconnects++;
+          else state.macs.set(key, { reconnects: 0, lastDisconnect: null });
+
+          session.identified = true;
+          logToAdmins(
+            `${CONFIG.LOG_PREFIX.MAC} ${session.mac} ${session.addr}`,
+            "events",
+            session,
+            sessionEvent("identified", session),
+          );
+          // Send required responses upon successful identification
+          writeLine(session, "SYS ");
+          writeLine(session, "SYS DBG ");
+          // Clear validation timeout since the device is accepted
+          clearTimeout(validationTimeout);
+          server.emit("session:identified", session);
+          // Queued commands follow once the handshake replies have had a
+          // quiet period to arrive, so they are not taken as command replies
+          if (commandQueue.list(session.mac).length) {
+            setTimeout(() => deliverQueued(session), CONFIG.COMMAND_RESPONSE.QUIET_PERIOD);
+          }
+        });
+    }
+
+    // Apply CONFIG.DUPLICATE_MAC.POLICY when another session already has this
+    // MAC. Returns false if this session was rejected.
+    function handleDuplicateMac() {
+      const previous = [...state.sessions.values()].find(
+        (other) =>
+          other !== session &&
+          other.identified &&
+          other.status !== CONFIG.STATUS.CLOSE &&
+          normalizeMac(other.mac) === normalizeMac(session.mac),
+      );
+      if (!previous) return true;
+
+      const policy = CONFIG.DUPLICATE_MAC.POLICY;
+      const action = {
+        replace: `replacing ID:${previous.id}`,
+        reject: "rejecting the new connection",
+        keep: "keeping both",
+      }[policy];
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.DUP} ID:${session.id} ${session.mac} ${session.addr} already connected as ID:${previous.id} ${previous.addr}, ${action}`,
+        "events",
+        session,
+        sessionEvent("duplicate", session, {
+          previousId: previous.id,
+          previousAddr: previous.addr,
+          policy,
+        }),
+      );
+      server.emit("session:duplicate", session, previous, policy);
+
+      if (policy === "reject") {
+        rejectDevice(`duplicate MAC (connected as ID ${previous.id})`);
+        return false;
+      }
+      if (policy === "replace") {
+        previous.closeReason = `replaced by ID ${session.id}`;
+        previous.socket.end("Replaced by a new connection.\n");
+        previous.socket.destroy();
+      } else {
+        previous.duplicate = true;
+        session.duplicate = true;
+      }
+      return true;
+    }
+
+    // Handle one complete line received from the device
+    function processLine(line) {
+      session.lastSeen = moment();
+      try {
+        // Challenge replies are consumed here and never logged
+        const authMatch = pendingChallenge && line.match(CONFIG.DEVICE_AUTH_REPLY);
+        if (authMatch) {
+          const resolve = pendingChallenge;
+          pendingChallenge = null;
+          resolve(authMatch[1]);
+          return;
+        }
+
+        session.recentLines.push({ time: session.lastSeen.toISOString(), line });
+        if (session.recentLines.length > CONFIG.LIMITS.RECENT_LINES) session.recentLines.shift();
+
+        logToAdmins(
+          `${CONFIG.LOG_PREFIX.MSG_LINE}[${session.id}][${session.token}] ${line}`,
+          "lines",
+          session,
+          { type: "line", id: session.id, mac: session.mac, token: session.token, line },
+        );
+        collectResponseLine(session, line);
+
+        // Define regex patterns
+        const patterns = {
+          // MAC address regex - matches with or without colons
+          mac: /([0-9A-Fa-f]{2}[:]?){5}([0-9A-Fa-f]{2})/,
+          firmwareVersion: /FIRMWARE_VERSION=(.+)/,
+          bleMac: /BLE_MAC=(.+)/,
+          wifiMac: /WIFI_MAC=(.+)/,
+          wlanFwVer: /WLAN_VERSION=(.+)/,
+          trace: /^TRACE=(.+)/,
+        };
+
+        // Check for MAC address first
+        let match = line.match(patterns.mac);
+        if (match && session.mac === CONFIG.SESSION_DEFAULTS.MAC) {
+          // Only update if not already set
+          session.mac = match[0];
+          session.token = match[0].replace(/:/g, "");
+          identifyDevice();
+        }
+
+        // Check for other device info (excluding mac)
+        for (const [key, pattern] of Object.entries(patterns)) {
+          if (key === "mac") continue; // Already handled
+
+          match = line.match(pattern);
+          if (match) {
+              // Map property names to match remote-server.js
+              const sessionKey =
+                key === "firmwareVersion"
+                  ? "fwVer"
+                  : key === "bleMac"
+                    ? "bleMac"
+                    : key === "wifiMac"
+                      ? "wifiMac"
+                      : key === "wlanFwVer"
+                        ? "wlanFwVer"
+                        : key === "trace"
+                          ? "trace"
+                          : key;
+            const previous = session[sessionKey];
+            session[sessionKey] = match[1];
+            if (previous !== match[1]) {
+              server.emit("session:change", session, sessionKey, previous, match[1]);
+            }
+          }
+        }
+
+        server.emit("session:line", session, line);
+      } catch (error) {
+        logger.error(`Data processing error for session ${session.id}:`, error);
+      }
+    }
+
+    // Lines over LIMITS.MAX_LINE_RATE are dropped (and counted) unprocessed
+    const framer = createLineFramer((line) => {
+      session.counters.linesIn++;
+      if (floodGuard.allowLine(session)) processLine(line);
+    }, {
+      maxLength: CONFIG.LIMITS.MAX_LINE_LENGTH,
+      onOverflow: (length) => {
+        logToAdmins(
+          `${CONFIG.LOG_PREFIX.ERROR} ID:${session.id} line exceeds ${CONFIG.LIMITS.MAX_LINE_LENGTH} chars (${length}), truncated ${session.mac} ${session.addr}`,
+          "events",
+          session,
+          sessionEvent("error", session, {
+            message: `line exceeds ${CONFIG.LIMITS.MAX_LINE_LENGTH} chars (${length}), truncated`,
+          }),
+        );
+      },
+    });
+
+    socket.on("data", (chunk) => framer.push(chunk));
+
+    // Connection event handlers
+    socket.on("error", (e) => {
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.ERROR} ID:${session.id} ${e} ${session.mac} ${session.addr}`,
+        "events",
+        session,
+        sessionEvent("error", session, { message: e.message }),
+      );
+      if (!session.closeReason) session.closeReason = `error: ${e.message}`;
+      server.emit("session:error", session, e);
+      // 'close' usually emitted after 'error'
+    });
+
+    socket.on("close", (hadError) => {
+      clearTimeout(validationTimeout); // Clean up timeout to ensure cleanup
+      session.status = CONFIG.STATUS.CLOSE;
+      if (pendingChallenge) pendingChallenge(null);
+      finishRequest(session, "closed", "connection closed");
+      const reason = session.closeReason || "connection closed";
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.CLOSE} ID:${session.id} ${session.mac} ${session.addr}`,
+        "events",
+        session,
+        sessionEvent("close", session, { reason }),
+      );
+      state.sessions.delete(sessionId); // Remove from Map
+      if (session.identified) {
+        const stats = state.macs.get(normalizeMac(session.mac));
+        stats.lastDisconnect = { id: session.id, time: new Date().toISOString(), reason };
+        // A flagged duplicate is no longer one once the other session is gone
+        const others = [...state.sessions.values()].filter(
+          (other) => other.duplicate && normalizeMac(other.mac) === normalizeMac(session.mac),
+        );
+        if (others.length === 1) others[0].duplicate = false;
+      }
+      server.emit("session:close", session);
+    });
+
+    socket.on("timeout", () => expireSession(session, "idle timeout"));
+
+    socket.on("end", () => {
+      // Peer closed connection gracefully
+      framer.flush(); // Deliver a trailing line sent without terminator
+      if (!session.closeReason) session.closeReason = "closed by device";
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.END} ID:${session.id} ${session.mac} ${session.addr}`,
+        "events",
+        session,
+        sessionEvent("end", session),
+      );
+      // 'close' will be emitted after 'end'
+    });
+  }
+
+  // Close a device connection that stopped responding (idle or heartbeat timeout)
+  function expireSession(session, reason) {
+    logToAdmins(
+      `${CONFIG.LOG_PREFIX.TIMEOUT} ID:${session.id} ${session.mac} ${session.addr} ${reason}`,
+      "events",
+      session,
+      sessionEvent("timeout", session, { reason }),
+    );
+    server.emit("session:timeout", session, reason);
+    session.closeReason = reason;
+    session.socket.end("Idle Timeout\n");
+    session.socket.destroy();
+  }
+
+  // --- Admin Connection Handler ---
+
+  function handleAdminConnection(socket) {
+    socket.setKeepAlive(true, CONFIG.TIMEOUTS.KEEP_ALIVE);
+    if (CONFIG.TIMEOUTS.ADMIN_IDLE) socket.setTimeout(CONFIG.TIMEOUTS.ADMIN_IDLE);
+
+    const admin = {
+      addr: socket.remoteAddress,
+      socket: socket,
+      status: CONFIG.STATUS.CONNECT,
+      user: null, // Authenticated identity, set on login
+      authenticated: !adminAuth.enabled,
+      subscription: createSubscription(), // Which live log messages this admin receives
+      format: "text", // "json" for newline-delimited JSON output
+      requestId: undefined, // ID of the JSON request being processed
+      transport: socket.encrypted ? "tls" : "tcp",
+    };
+
+    state.adminSockets.add(socket);
+    server.emit("admin:connect", admin);
+    logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_CONN} ${admin.addr}`);
+    if (admin.authenticated) {
+      state.admins.add(admin);
+    } else {
+      // Not added to state.admins (no log stream) until login succeeds
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.AUTH} Login required: login <user> <password> | token <api-token>`);
+    }
+
+    const rl = readline.createInterface({
+      input: socket,
+      output: socket,
+      terminal: false, // Important for network streams
+    });
+
+    rl.on("line", (line) => {
+      let command = line.trim();
+      if (!command) return;
+
+      // JSON request: { "requestId": ..., "command": "..." }
+      if (command.startsWith("{")) {
+        const request = parseJsonRequest(command);
+        if (request.error) {
+          replyToAdmin(admin, `${CONFIG.LOG_PREFIX.CMD_ERROR} ${request.error}`, {
+            type: "error",
+            code: "BAD_REQUEST",
+            message: request.error,
+          });
+          return;
+        }
+        admin.requestId = request.requestId;
+        command = request.command;
+      }
+
+      try {
+        if (!admin.authenticated) {
+          handleAdminLogin(admin, command);
+          return;
+        }
+        logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_CMD}${formatAdminUser(admin)} ${command}`, "commands");
+        processAdminCommand(command, admin);
+      } finally {
+        admin.requestId = undefined;
+      }
+    });
+
+    // readline re-emits socket errors; they are logged by the socket handler below
+    rl.on("error", () => {});
+
+    // Admin connection event handlers
+    socket.on("error", (e) => {
+      logger.error(`${CONFIG.LOG_PREFIX.ADMIN_ERROR} ${e} ${admin.addr}`);
+      // 'close' usually follows
+    });
+
+    socket.on("close", (hadError) => {
+      admin.status = CONFIG.STATUS.CLOSE;
+      state.admins.delete(admin); // Remove from Set
+      state.adminSockets.delete(socket);
+      rl.close(); // Explicitly close readline interface
+      logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_CLOSE}${formatAdminUser(admin)} ${admin.addr}`);
+      server.emit("admin:close", admin);
+    });
+
+    socket.on("timeout", () => {
+      logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_TIMEOUT} ${admin.addr}`);
+      socket.end("Admin Idle Timeout\n");
+      socket.destroy();
+    });
+
+    socket.on("end", () => {
+      logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_END} ${admin.addr}`);
+      // 'close' follows
+    });
+  }
+
+  // Handle a line from an admin connection that has not logged in yet
+  function handleAdminLogin(admin, line) {
+    const loginMatch = line.match(CONFIG.COMMANDS.LOGIN);
+    const tokenMatch = line.match(CONFIG.COMMANDS.TOKEN);
+    if (!loginMatch && !tokenMatch) {
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.AUTH} Login required: login <user> <password> | token <api-token>`);
+      return;
+    }
+
+    const attempt = loginMatch
+      ? { user: loginMatch[1], password: loginMatch[2] }
+      : { token: tokenMatch[1] };
+    const result = adminAuth.authenticate(admin.addr, attempt);
+
+    if (result.identity) {
+      admin.user = result.identity;
+      admin.authenticated = true;
+      state.admins.add(admin);
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.AUTH} Logged in as ${admin.user}`);
+      logToAdmins(`${CONFIG.LOG_PREFIX.ADMIN_LOGIN} ${admin.user} ${admin.addr}`);
+      return;
+    }
+
+    logToAdmins(
+      `${CONFIG.LOG_PREFIX.ADMIN_AUTH_FAIL} ${admin.addr} ${attempt.user || "token"}: ${result.error}`,
+    );
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.AUTH} Login failed: ${result.error}`);
+    if (result.locked) {
+      admin.socket.end();
+      admin.socket.destroy();
+    }
+  }
+
+  // Parse a JSON admin request; returns { requestId, command } or { error }
+  function parseJsonRequest(text) {
+    let request;
+    try {
+      request = JSON.parse(text);
+    } catch (e) {
+      return { error: `Invalid JSON request: ${e.message}` };
+    }
+    if (!request || typeof request.command !== "string" || !request.command.trim()) {
+      return { error: 'JSON request needs a "command" string' };
+    }
+    return { requestId: request.requestId, command: request.command.trim() };
+  }
+
+  // Identity tag for admin log lines, empty when authentication is disabled
+  function formatAdminUser(admin) {
+    return admin.user ? `[${admin.user}]` : "";
+  }
+
+  // --- Process Admin Commands ---
+
+  // admin is the issuing admin connection, or undefined for the local console
+  function processAdminCommand(line, admin) {
+    server.emit("admin:command", { line, admin });
+
+    // LS command - List all sessions (case-insensitive)
+    const listMatch = line.match(CONFIG.COMMANDS.LS);
+    if (listMatch) {
+      const opt = listMatch[1];
+      const group = opt.startsWith("@") ? groupSessions(opt.slice(1)) : null;
+      if (opt.startsWith("@") && !group) {
+        replyCommandError(admin, "NOT_FOUND", `Unknown group ${opt}`);
+        return;
+      }
+      const listed = [];
+      state.sessions.forEach((session) => {
+        const uptime = formatUptime(session.start);
+        const seen = Math.floor(moment().diff(session.lastSeen) / 1000);
+        const flags = (session.duplicate ? " [DUP]" : "") + (session.stale ? " [STALE]" : "");
+        const out = `[SESS][${session.id}][${session.token}] ${uptime} trace: ${session.trace}\t${session.fwVer}\t-- ${session.addr} seen ${seen}s ago${flags}`;
+
+        if (group ? group.sessions.includes(session) : !opt || out.indexOf(opt) >= 0) {
+          listed.push(session);
+          if (!admin || admin.format !== "json") replyToAdmin(admin, out);
+        }
+      });
+      // JSON mode answers with one object, so an empty list still gets a reply
+      if (admin && admin.format === "json") {
+        replyToAdmin(admin, "", { type: "sessions", sessions: listed.map(describeSession) });
+      }
+      return;
+    }
+
+    // SHOW - Every attribute, traffic counters and recent lines of one device
+    const showMatch = line.match(CONFIG.COMMANDS.SHOW);
+    if (showMatch) {
+      showSession(admin, showMatch[1], showMatch[2] ? Number(showMatch[2]) : CONFIG.LIMITS.RECENT_LINES);
+      return;
+    }
+
+    // CMD by group - Send command to the online members of a tag group (case-insensitive)
+    const cmdGroupMatch = line.match(CONFIG.COMMANDS.CMD_GROUP);
+    if (cmdGroupMatch) {
+      const name = cmdGroupMatch[1];
+      const cmd = cmdGroupMatch[2];
+      const group = groupSessions(name);
+      if (!group) {
+        replyCommandError(admin, "NOT_FOUND", `Unknown group @${name}`);
+        return;
+      }
+      if (group.offline.length) {
+        replyCommandError(
+          admin,
+          "NOT_FOUND",
+          `@${name}: ${group.offline.length} of ${group.size} devices offline: ${group.offline.join(", ")}`,
+        );
+      }
+      group.sessions.forEach((session) => {
+        if (session.socket.writable) {
+          logToAdmins(`${CONFIG.LOG_PREFIX.CMD} ${cmd}`, "commands", session);
+          sendRequest(session, cmd, replyWithResult(admin));
+        } else {
+          replyCommandError(admin, "NOT_WRITABLE", `Device MAC ${session.mac} socket not writable.`, session);
+        }
+      });
+      return;
+    }
+
+    // CMD --queue / QUEUE - Send to online devices, queue for offline ones (case-insensitive)
+    const cmdQueueMatch = line.match(CONFIG.COMMANDS.CMD_QUEUE);
+    const queueLsMatch = line.match(CONFIG.COMMANDS.QUEUE_LS);
+    const queueClearMatch = line.match(CONFIG.COMMANDS.QUEUE_CLEAR);
+    const queueMatch = !queueLsMatch && !queueClearMatch && line.match(CONFIG.COMMANDS.QUEUE);
+    if (cmdQueueMatch || queueMatch) {
+      const [, target, cmd] = cmdQueueMatch || queueMatch;
+      queueCommand(admin, target, cmd);
+      return;
+    }
+    if (queueLsMatch || queueClearMatch) {
+      updateQueue(admin, { queueLsMatch, queueClearMatch });
+      return;
+    }
+
+    // CMD by MAC - Send command to device(s) by MAC address (case-insensitive)
+    const cmdByMacMatch = line.match(CONFIG.COMMANDS.CMD_MAC);
+    if (cmdByMacMatch) {
+      const macs = cmdByMacMatch[1].split(",");
+      const cmd = cmdByMacMatch[2];
+
+      macs.forEach((mac) => {
+        mac = mac.trim();
+        const session = findSessionByMac(mac);
+        if (session && session.socket.writable) {
+          logToAdmins(`${CONFIG.LOG_PREFIX.CMD} ${cmd}`, "commands", session);
+          sendRequest(session, cmd, replyWithResult(admin));
+        } else if (!session) {
+          replyCommandError(admin, "NOT_FOUND", `Device MAC ${mac} not found.`);
+        } else {
+          replyCommandError(admin, "NOT_WRITABLE", `Device MAC ${mac} socket not writable.`, session);
+        }
+      });
+      return;
+    }
+
+    // CMD by ID - Send command to device(s) by ID (supports hexadecimal, case-insensitive)
+    const cmdByIdMatch = line.match(CONFIG.COMMANDS.CMD_ID);
+    if (cmdByIdMatch) {
+      const ids = cmdByIdMatch[1].split(",");
+      const cmd = cmdByIdMatch[2];
+
+      ids.forEach((idStr) => {
+        const id = parseId(idStr);
+        if (isNaN(id)) {
+          replyCommandError(admin, "BAD_ID", `Invalid ID format: ${idStr}`);
+          return;
+        }
+        const session = findSessionById(id);
+        if (session && session.socket.writable) {
+          logToAdmins(`${CONFIG.LOG_PREFIX.CMD} ${cmd}`, "commands", session);
+          sendRequest(session, cmd, replyWithResult(admin));
+        } else if (!session) {
+          replyCommandError(admin, "NOT_FOUND", `Device ID ${id} not found.`);
+        } else {
+          replyCommandError(admin, "NOT_WRITABLE", `Device ID ${id} socket not writable.`, session);
+        }
+      });
+      return;
+    }
+
+    // CMDALL - Send command to all devices (case-insensitive)
+    const cmdAllMatch = line.match(CONFIG.COMMANDS.CMDALL);
+    if (cmdAllMatch) {
+      const ids = broadcast(cmdAllMatch[1]);
+      replyToAdmin(
+        admin,
+        `${CONFIG.LOG_PREFIX.CMD} cmdall sent to ${ids.length} devices${ids.length ? `: ${ids.join(", ")}` : ""}`,
+        { type: "broadcast", command: cmdAllMatch[1], ids },
+      );
+      return;
+    }
+
+    // DROP - Drop connection by ID (supports hexadecimal, case-insensitive)
+    const dropMatch = line.match(CONFIG.COMMANDS.DROP);
+    if (dropMatch) {
+      const idStr = dropMatch[1];
+      const id = parseId(idStr);
+      if (isNaN(id)) {
+        return;
+      }
+      if (!dropSession(findSessionById(id))) {
+        replyToAdmin(admin, `${CONFIG.LOG_PREFIX.DROP_ERROR} Device ID ${id} not found.`, {
+          type: "error",
+          code: "NOT_FOUND",
+          message: `Device ID ${id} not found.`,
+        });
+        return;
+      }
+      confirmToAdmin(admin, `${CONFIG.LOG_PREFIX.DROP} ${id}`, { ids: [id] });
+      return;
+    }
+
+    // DROP by group - Drop every online member of a tag group (case-insensitive)
+    const dropGroupMatch = line.match(CONFIG.COMMANDS.DROP_GROUP);
+    if (dropGroupMatch) {
+      const group = groupSessions(dropGroupMatch[1]);
+      if (!group || group.sessions.length === 0) {
+        const message = group
+          ? `No device of @${dropGroupMatch[1]} is online.`
+          : `Unknown group @${dropGroupMatch[1]}`;
+        replyToAdmin(admin, `${CONFIG.LOG_PREFIX.DROP_ERROR} ${message}`, {
+          type: "error",
+          code: "NOT_FOUND",
+          message,
+        });
+        return;
+      }
+      group.sessions.forEach((session) => dropSession(session));
+      const ids = group.sessions.map((session) => session.id);
+      confirmToAdmin(admin, `${CONFIG.LOG_PREFIX.DROP} ${ids.join(", ")}`, { ids });
+      return;
+    }
+
+    // TAG / UNTAG / TAGS - Manage device groups (case-insensitive)
+    const tagMatch = line.match(CONFIG.COMMANDS.TAG);
+    const untagMatch = line.match(CONFIG.COMMANDS.UNTAG);
+    const tagsMatch = line.match(CONFIG.COMMANDS.TAGS);
+    if (tagMatch || untagMatch || tagsMatch) {
+      updateTags(admin, { tagMatch, untagMatch, tagsMatch });
+      return;
+    }
+
+    // SCHEDULE - Add, list or remove scheduled commands (case-insensitive)
+    const scheduleMatch = line.match(CONFIG.COMMANDS.SCHEDULE);
+    if (scheduleMatch) {
+      updateSchedule(admin, (scheduleMatch[1] || "ls").toLowerCase(), scheduleMatch[2]);
+      return;
+    }
+
+    // ROLLOUT - Staged firmware upgrade (case-insensitive)
+    const rolloutMatch = line.match(CONFIG.COMMANDS.ROLLOUT);
+    if (rolloutMatch) {
+      updateRollout(admin, rolloutMatch[1].toLowerCase(), rolloutMatch[2]);
+      return;
+    }
+
+    // HISTORY - Show recorded events of a device by ID or MAC (case-insensitive)
+    const historyMatch = line.match(CONFIG.COMMANDS.HISTORY);
+    if (historyMatch) {
+      showHistory(historyMatch[1], historyMatch[2], admin);
+      return;
+    }
+
+    // CAPTURE - Per-device log files on/off, globally or per device (case-insensitive)
+    const captureMatch = line.match(CONFIG.COMMANDS.CAPTURE);
+    if (captureMatch) {
+      setCapture(captureMatch[1], captureMatch[2], admin);
+      return;
+    }
+
+    // WATCH / UNWATCH / MUTE / UNMUTE - Scope this admin's live log stream
+    const watchMatch = line.match(CONFIG.COMMANDS.WATCH);
+    const unwatchMatch = line.match(CONFIG.COMMANDS.UNWATCH);
+    const muteMatch = line.match(CONFIG.COMMANDS.MUTE);
+    if (watchMatch || unwatchMatch || muteMatch) {
+      updateSubscription(admin, { watchMatch, unwatchMatch, muteMatch });
+      return;
+    }
+
+    // FORMAT - Switch this admin connection between text and JSON output
+    const formatMatch = line.match(CONFIG.COMMANDS.FORMAT);
+    if (formatMatch) {
+      setFormat(admin, formatMatch[1]);
+      return;
+    }
+
+    // RELOAD - Re-read the TLS key and certificate without a restart
+    if (line.match(CONFIG.COMMANDS.RELOAD)) {
+      try {
+        const names = reloadTls();
+        if (names.length === 0) {
+          replyToAdmin(admin, `${CONFIG.LOG_PREFIX.TLS} No TLS listener to reload`);
+        } else {
+          confirmToAdmin(admin, `${CONFIG.LOG_PREFIX.TLS} Reloaded key and certificate for ${names.join(", ")}`, {
+            listeners: names,
+          });
+        }
+      } catch (error) {
+        replyToAdmin(admin, `${CONFIG.LOG_PREFIX.TLS} Reload failed: ${error.message}`, {
+          type: "error",
+          code: "RELOAD_FAILED",
+          message: error.message,
+        });
+      }
+      return;
+    }
+
+    // BANS - List addresses banned for connection floods, or lift bans
+    const bansMatch = line.match(CONFIG.COMMANDS.BANS);
+    if (bansMatch) {
+      updateBans(admin, bansMatch[1], bansMatch[2] || null);
+      return;
+    }
+
+    // A JSON request always gets an answer, even for an unknown command
+    if (admin && admin.requestId !== undefined) {
+      replyCommandError(admin, "UNKNOWN_COMMAND", `Unknown command: ${line}`);
+    }
+  }
+
+  // Online (identified) sessions and offline MACs of a tag group, or null if
+  // there is no such group
+  function groupSessions(name) {
+    const macs = tags.members(name);
+    if (!macs) return null;
+    const sessions = [];
+    const offline = [];
+    macs.forEach((mac) => {
+      const session = findSessionByMac(mac);
+      if (session && session.identified) sessions.push(session);
+      else offline.push(mac);
+    });
+    return { sessions, offline, size: macs.length };
+  }
+
+  // Tag, untag or list device groups. Changes are broadcast as audit events.
+  function updateTags(admin, { tagMatch, untagMatch, tagsMatch }) {
+    const reply = (message, data) => replyToAdmin(admin, `${CONFIG.LOG_PREFIX.TAG} ${message}`, data);
+
+    if (tagsMatch) {
+      const groups = tags.list();
+      const names = Object.keys(groups).filter(
+        (name) => !tagsMatch[1] || name.toLowerCase() === tagsMatch[1].toLowerCase(),
+      );
+      const members = (name) =>
+        groups[name].map((mac) => {
+          const session = findSessionByMac(mac);
+          return { mac, id: session && session.identified ? session.id : null };
+        });
+      const body = names
+        .map((name) => {
+          const list = members(name)
+            .map((member) => `${member.mac} (${member.id === null ? "offline" : member.id})`)
+            .join(", ");
+          return `\n  @${name}: ${list}`;
+        })
+        .join("");
+      reply(`${names.length} groups${body}`, {
+        type: "tags",
+        groups: Object.fromEntries(names.map((name) => [name, members(name)])),
+      });
+      return;
+    }
+
+    const target = (tagMatch || untagMatch)[1];
+    let mac = target;
+    if (!CONFIG.MAC_TARGET.test(target)) {
+      const session = findSessionById(parseId(target));
+      if (!session || !session.identified) {
+        replyCommandError(admin, "NOT_FOUND", `Device ID ${target} not found.`);
+        return;
+      }
+      mac = session.mac;
+    }
+
+    if (tagMatch) {
+      const name = tagMatch[2];
+      if (!TAG_NAME.test(name)) {
+        replyCommandError(admin, "BAD_REQUEST", `Invalid group name ${name} (letters, digits, _ . -)`);
+        return;
+      }
+      if (!tags.tag(mac, name)) {
+        reply(`${mac} is already in @${name}`);
+        return;
+      }
+      const message = `${CONFIG.LOG_PREFIX.TAG} ${mac} added to @${name}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { mac, added: [name] });
+      return;
+    }
+
+    const left = tags.untag(mac, untagMatch[2] || null);
+    if (left.length) {
+      const message = `${CONFIG.LOG_PREFIX.TAG} ${mac} removed from ${left.map((name) => `@${name}`).join(", ")}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { mac, removed: left });
+    } else {
+      reply(`${mac} is not in ${untagMatch[2] ? `@${untagMatch[2]}` : "any group"}`);
+    }
+  }
+
+  // schedule add <every|cron|at ...> <command>, schedule ls, schedule rm <id>
+  function updateSchedule(admin, action, args) {
+    const fail = (code, message) =>
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.SCHEDULE} ${message}`, { type: "error", code, message });
+
+    if (action === "ls") {
+      const jobs = scheduler.list();
+      const body = jobs
+        .map(
+          (job) =>
+            `\n  #${job.id} ${job.kind} ${job.spec} "${job.command}" next ${job.nextRun}, runs ${job.runs}${job.owner ? ` (by ${job.owner})` : ""}`,
+        )
+        .join("");
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.SCHEDULE} ${jobs.length} jobs${body}`, { type: "schedule", jobs });
+      return;
+    }
+
+    if (action === "rm") {
+      const id = Number(args);
+      const job = Number.isInteger(id) ? scheduler.remove(id) : null;
+      if (!job) {
+        fail("NOT_FOUND", `No scheduled job ${args || ""}`.trim());
+        return;
+      }
+      const message = `${CONFIG.LOG_PREFIX.SCHEDULE} #${job.id} removed: ${job.command}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { job });
+      return;
+    }
+
+    if (!args) {
+      fail("BAD_REQUEST", "Usage: schedule add <every 10m | cron m h dom mon dow | at HH:MM> <command>");
+      return;
+    }
+    let job;
+    try {
+      if (CONFIG.COMMANDS.SCHEDULE.test(parseSchedule(args).command)) {
+        throw new Error("Scheduled jobs cannot manage the schedule");
+      }
+      job = scheduler.add(args, admin ? admin.user || admin.addr : "console");
+    } catch (error) {
+      fail("BAD_REQUEST", error.message);
+      return;
+    }
+    const message = `${CONFIG.LOG_PREFIX.SCHEDULE} #${job.id} added: ${job.kind} ${job.spec} ${job.command} (next ${job.nextRun})`;
+    logToAdmins(message);
+    confirmToAdmin(admin, message, { job });
+  }
+
+  // Stand-in admin for commands issued by the server itself (scheduled jobs,
+  // queued commands): replies are logged to all admins behind prefix
+  function loggingAdmin(addr, user, prefix) {
+    return {
+      addr,
+      user,
+      authenticated: true,
+      subscription: createSubscription(),
+      format: "text",
+      requestId: undefined,
+      onReply: (message) => logToAdmins(`${prefix} ${message}`),
+    };
+  }
+
+  // Run a due job's command like an admin command; its replies (command
+  // results and errors per target) are logged to all admins
+  function runJob(job) {
+    logToAdmins(`${CONFIG.LOG_PREFIX.SCHEDULE} #${job.id} run ${job.runs}: ${job.command}`);
+    const prefix = `${CONFIG.LOG_PREFIX.SCHEDULE} #${job.id}`;
+    processAdminCommand(job.command, loggingAdmin("scheduler", `schedule#${job.id}`, prefix));
+  }
+
+  // Send cmd to each target MAC (comma list or @group) that is online, and
+  // queue it for the others until they identify again
+  function queueCommand(admin, target, cmd) {
+    let macs;
+    if (target.startsWith("@")) {
+      macs = tags.members(target.slice(1));
+      if (!macs) {
+        replyCommandError(admin, "NOT_FOUND", `Unknown group ${target}`);
+        return;
+      }
+    } else {
+      macs = target.split(",");
+      const invalid = macs.find((mac) => !CONFIG.MAC_TARGET.test(mac));
+      if (invalid) {
+        replyCommandError(admin, "BAD_REQUEST", `Commands can only be queued by MAC or @group: ${invalid}`);
+        return;
+      }
+    }
+
+    macs.forEach((mac) => {
+      const session = findSessionByMac(mac);
+      if (session && session.identified && session.socket.writable) {
+        logToAdmins(`${CONFIG.LOG_PREFIX.CMD} ${cmd}`, "commands", session);
+        sendRequest(session, cmd, replyWithResult(admin));
+        return;
+      }
+      try {
+        const entry = commandQueue.add(mac, cmd, admin ? admin.user || admin.addr : "console");
+        const message = `${CONFIG.LOG_PREFIX.QUEUE} #${entry.id} queued for ${entry.mac}: ${cmd} (expires ${entry.expires})`;
+        logToAdmins(message);
+        confirmToAdmin(admin, message, { queued: entry });
+      } catch (error) {
+        replyCommandError(admin, "QUEUE_FULL", error.message);
+      }
+    });
+  }
+
+  // Write the queued commands of a newly identified device; results are
+  // logged to all admins, as the admin who queued them may be gone
+  function deliverQueued(session) {
+    if (session.status === CONFIG.STATUS.CLOSE) return;
+    const { due, expired } = commandQueue.take(session.mac);
+    expired.forEach((entry) => {
+      logToAdmins(`${CONFIG.LOG_PREFIX.QUEUE} #${entry.id} expired for ${entry.mac}: ${entry.cmd}`);
+    });
+    due.forEach((entry) => {
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.QUEUE} #${entry.id} delivering to ID:${session.id} ${entry.mac}: ${entry.cmd}`,
+        "commands",
+        session,
+      );
+      const prefix = `${CONFIG.LOG_PREFIX.QUEUE} #${entry.id}`;
+      sendRequest(session, entry.cmd, replyWithResult(loggingAdmin("queue", entry.owner, prefix)));
+    });
+  }
+
+  // queue ls [mac], queue clear [mac]
+  function updateQueue(admin, { queueLsMatch, queueClearMatch }) {
+    const mac = (queueLsMatch || queueClearMatch)[1] || null;
+    if (mac && !CONFIG.MAC_TARGET.test(mac)) {
+      replyCommandError(admin, "BAD_REQUEST", `Invalid MAC: ${mac}`);
+      return;
+    }
+
+    if (queueClearMatch) {
+      const removed = commandQueue.clear(mac);
+      const message = `${CONFIG.LOG_PREFIX.QUEUE} cleared ${removed} commands${mac ? ` for ${mac}` : ""}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { mac, removed });
+      return;
+    }
+
+    commandQueue.prune();
+    const entries = commandQueue.list(mac);
+    const body = entries
+      .map(
+        (entry) =>
+          `\n  #${entry.id} ${entry.mac} "${entry.cmd}" expires ${entry.expires}${entry.owner ? ` (by ${entry.owner})` : ""}`,
+      )
+      .join("");
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.QUEUE} ${entries.length} commands${body}`, {
+      type: "queue",
+      commands: entries,
+    });
+  }
+
+  // Connection details of a session for "show": listener, ports and TLS parameters
+  function describeConnection(session) {
+    const { socket } = session;
+    const cert = socket.encrypted && socket.authorized ? socket.getPeerCertificate() : null;
+    return {
+      listener: socket.encrypted ? "RC_TLS" : "RC",
+      localPort: socket.localPort,
+      remotePort: socket.remotePort,
+      tls: socket.encrypted
+        ? {
+            protocol: socket.getProtocol(),
+            cipher: socket.getCipher().name,
+            clientCert: cert && cert.subject ? cert.subject.CN : null,
+          }
+        : null,
+    };
+  }
+
+  // show <id|mac> [lines]: reply with everything known about one device
+  function showSession(admin, target, count) {
+    const session = findSession(target);
+    if (!session) {
+      replyCommandError(admin, "NOT_FOUND", `Device ${target} not found.`);
+      return;
+    }
+    const info = { ...describeSession(session), ...describeConnection(session) };
+    const lines = count ? session.recentLines.slice(-count) : [];
+    const flags = [info.duplicate && "[DUP]", info.stale && "[STALE]"].filter(Boolean);
+    const last = info.lastDisconnect;
+    const details = [
+      `status: ${info.status}${info.identified ? ", identified" : ", not identified"}${flags.length ? ` ${flags.join(" ")}` : ""}`,
+      `token: ${info.token}  trace: ${info.trace}`,
+      `firmware: ${info.fwVer}  WLAN firmware: ${info.wlanFwVer}`,
+      `BLE MAC: ${info.bleMac}  WiFi MAC: ${info.wifiMac}`,
+      `connection: ${info.transport.toUpperCase()} on ${info.listener} port ${info.localPort} from ${info.addr} port ${info.remotePort}`,
+      info.tls &&
+        `TLS: ${info.tls.protocol} ${info.tls.cipher}${info.tls.clientCert ? `, client certificate ${info.tls.clientCert}` : ""}`,
+      `connected: ${info.start} (${info.uptime})`,
+      `last seen: ${info.lastSeen} (${Math.floor(moment().diff(session.lastSeen) / 1000)}s ago)`,
+      `in: ${info.bytesIn} bytes, ${info.linesIn} lines  out: ${info.bytesOut} bytes, ${info.linesOut} lines`,
+      `commands: ${info.commandsSent} sent, ${info.commandErrors} errors, ${info.pendingCommands} pending`,
+      `tags: ${info.tags.length ? info.tags.join(", ") : "none"}`,
+      `reconnects: ${info.reconnects}${last ? `, last disconnect ${last.time} (${last.reason})` : ""}`,
+      `last ${lines.length} lines:`,
+    ].filter(Boolean);
+    const body = [
+      ...details.map((detail) => `\n  ${detail}`),
+      ...lines.map((entry) => `\n    ${entry.time} ${entry.line}`),
+    ].join("");
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.SHOW} ID:${session.id} ${session.mac}${body}`, {
+      type: "session",
+      session: { ...info, recentLines: lines },
+    });
+  }
+
+  // bans, bans clear [addr]
+  function updateBans(admin, clear, addr) {
+    if (clear) {
+      const lifted = floodGuard.unban(addr);
+      const message = `${CONFIG.LOG_PREFIX.FLOOD} lifted ${lifted} bans${addr ? ` for ${addr}` : ""}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { addr, lifted });
+      return;
+    }
+    const bans = floodGuard.list();
+    const body = bans.map((ban) => `\n  ${ban.addr} until ${ban.until} (${ban.reason})`).join("");
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.FLOOD} ${bans.length} banned addresses${body}`, { type: "bans", bans });
+  }
+
+  // rollout start <version> [@group] [wave <n|n%>], status, pause, resume, abort
+  function updateRollout(admin, action, args) {
+    const fail = (code, message) =>
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.ROLLOUT} ${message}`, { type: "error", code, message });
+
+    if (action === "status") {
+      const status = rollout.status();
+      if (!status) {
+        replyToAdmin(admin, `${CONFIG.LOG_PREFIX.ROLLOUT} No rollout`, { type: "rollout", rollout: null });
+        return;
+      }
+      const { done, failed, upgrading, pending } = status.counts;
+      const body = status.devices
+        .filter((device) => device.state !== "pending")
+        .map(
+          (device) =>
+            `\n  ${device.mac} ${device.state} (wave ${device.wave})${device.reason ? `: ${device.reason}` : ""}`,
+        )
+        .join("");
+      replyToAdmin(
+        admin,
+        `${CONFIG.LOG_PREFIX.ROLLOUT} #${status.id} ${status.version} ${status.state}, wave ${status.wave} (${status.waveSize} per wave): ${done} done, ${failed} failed, ${upgrading} upgrading, ${pending} pending${body}`,
+        { type: "rollout", rollout: status },
+      );
+      return;
+    }
+
+    if (action !== "start") {
+      try {
+        rollout[action]();
+      } catch (error) {
+        fail("BAD_REQUEST", error.message);
+        return;
+      }
+      const status = rollout.status();
+      const message = `${CONFIG.LOG_PREFIX.ROLLOUT} #${status.id} ${action}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { rollout: status });
+      return;
+    }
+
+    const startMatch = (args || "").match(/^(\S+)(?:\s+@(\S+))?(?:\s+wave\s+(\S+))?$/i);
+    if (!startMatch) {
+      fail("BAD_REQUEST", "Usage: rollout start <version> [@group] [wave <n|n%>]");
+      return;
+    }
+    const [, version, group, wave] = startMatch;
+    const current = rollout.status();
+    if (current && ["running", "paused"].includes(current.state)) {
+      fail("BAD_REQUEST", `Rollout to ${current.version} is ${current.state}; abort it first`);
+      return;
+    }
+    let sessions = [...state.sessions.values()].filter((session) => session.identified);
+    if (group) {
+      const members = groupSessions(group);
+      if (!members) {
+        fail("NOT_FOUND", `Unknown group @${group}`);
+        return;
+      }
+      sessions = members.sessions;
+    }
+    const macs = [
+      ...new Set(
+        sessions.filter((session) => session.fwVer !== version).map((session) => normalizeMac(session.mac)),
+      ),
+    ];
+    if (macs.length === 0) {
+      fail("NOT_FOUND", `No online device needs ${version}`);
+      return;
+    }
+    const waveSize = parseWaveSize(wave || CONFIG.ROLLOUT.WAVE_SIZE, macs.length);
+    if (!waveSize) {
+      fail("BAD_REQUEST", `Invalid wave size ${wave || CONFIG.ROLLOUT.WAVE_SIZE} (use a count or 1-100%)`);
+      return;
+    }
+
+    const status = rollout.start({ version, macs, waveSize, owner: admin ? admin.user || admin.addr : "console" });
+    confirmToAdmin(admin, `${CONFIG.LOG_PREFIX.ROLLOUT} #${status.id} started`, { rollout: status });
+  }
+
+  // Count a failed command against its session (null if none) and report it
+  function commandFailed(code, session) {
+    if (session) session.counters.commandErrors++;
+    server.emit("command:error", code, session);
+  }
+
+  // Reply with a [CMD ERROR]; JSON-mode admins get { type: "error", code, message }
+  function replyCommandError(admin, code, message, session = null) {
+    commandFailed(code, session);
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.CMD_ERROR} ${message}`, { type: "error", code, message });
+  }
+
+  // Show or switch the output format of an admin connection
+  function setFormat(admin, format) {
+    if (!admin) {
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.FORMAT} The console always uses text output.`);
+      return;
+    }
+    if (format) admin.format = format.toLowerCase();
+    replyToAdmin(admin, `${CONFIG.LOG_PREFIX.FORMAT} ${admin.format}`, {
+      type: "format",
+      format: admin.format,
+    });
+  }
+
+  // Change the issuing admin's subscription and reply with the result
+  function updateSubscription(admin, { watchMatch, unwatchMatch, muteMatch }) {
+    const reply = (message) => replyToAdmin(admin, `${CONFIG.LOG_PREFIX.WATCH} ${message}`);
+    if (!admin) {
+      reply("Subscriptions apply to admin connections; the console sees everything.");
+      return;
+    }
+    const subscription = admin.subscription;
+
+    if (watchMatch && watchMatch[1]) {
+      const target = watchMatch[1].trim();
+      const session = /^(0x)?[0-9a-f]+$/i.test(target) ? findSessionById(parseId(target)) : null;
+      const entry = subscription.watch(target, session ? session.id : null);
+      reply(`Watching ${entry.type} ${entry.label}`);
+    } else if (unwatchMatch) {
+      const target = unwatchMatch[1] ? unwatchMatch[1].trim() : null;
+      const removed = subscription.unwatch(target);
+      reply(target && !removed ? `Not watching ${target}` : `Removed ${removed} watch entries`);
+    } else if (muteMatch) {
+      const category = muteMatch[2] ? muteMatch[2].toLowerCase() : null;
+      if (category && !CATEGORIES.includes(category)) {
+        reply(`Unknown category ${category} (${CATEGORIES.join(", ")})`);
+        return;
+      }
+      if (muteMatch[1].toLowerCase() === "mute") subscription.mute(category);
+      else subscription.unmute(category);
+    }
+    reply(subscription.describe());
+  }
+
+  // Show capture state, or switch it for all devices or one device (ID or MAC)
+  function setCapture(mode, target, admin) {
+    if (!deviceLogs) return;
+    if (!mode) {
+      const status = deviceLogs.status();
+      const devices = Object.entries(status.overrides)
+        .map(([mac, enabled]) => `${mac} ${enabled ? "on" : "off"}`)
+        .join(", ");
+      replyToAdmin(
+        admin,
+        `${CONFIG.LOG_PREFIX.CAPTURE} all: ${status.all ? "on" : "off"}, devices: ${devices || "none"}, open files: ${status.open.length} (${CONFIG.DEVICE_LOGS.DIR})`,
+      );
+      return;
+    }
+
+    const enabled = mode.toLowerCase() === "on";
+    if (!target || target.toLowerCase() === "all") {
+      deviceLogs.setCapture(null, enabled);
+      const message = `${CONFIG.LOG_PREFIX.CAPTURE} all devices ${enabled ? "on" : "off"}`;
+      logToAdmins(message);
+      confirmToAdmin(admin, message, { mac: null, capture: enabled });
+      return;
+    }
+
+    let mac = target;
+    if (!CONFIG.MAC_TARGET.test(target)) {
+      const session = findSessionById(parseId(target));
+      if (!session || !session.identified) {
+        replyToAdmin(admin, `${CONFIG.LOG_PREFIX.CAPTURE} Device ID ${target} not found.`);
+        return;
+      }
+      mac = session.mac;
+    }
+    deviceLogs.setCapture(mac, enabled);
+    const message = `${CONFIG.LOG_PREFIX.CAPTURE} ${mac} ${enabled ? "on" : "off"}`;
+    logToAdmins(message);
+    confirmToAdmin(admin, message, { mac, capture: enabled });
+  }
+
+  // One history event as a line of the history command output
+  function formatHistoryEvent(event) {
+    const details = {
+      connect: event.addr,
+      identified: event.addr,
+      rejected: event.reason,
+      close: `fw ${event.fwVer}${event.reason ? `, ${event.reason}` : ""}`,
+      duplicate: `already connected as ID:${event.previousId}, ${event.policy}`,
+      timeout: event.reason,
+      stale: `no reply to ${event.missed} heartbeats`,
+      error: event.message,
+      change: `${event.key}: ${event.from} -> ${event.to}`,
+      command: `"${event.cmd}"`,
+    }[event.type];
+    return `${event.time} ID:${event.id} ${event.mac} ${event.type}${details ? ` ${details}` : ""}`;
+  }
+
+  // Reply with the recorded events of the sessions matching target
+  function showHistory(target, sinceText, admin) {
+    if (!history) {
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.HISTORY} History is disabled (HISTORY.FILE not set).`);
+      return;
+    }
+
+    const since = sinceText ? parseSince(sinceText) : null;
+    if (sinceText && !since) {
+      replyToAdmin(
+        admin,
+        `${CONFIG.LOG_PREFIX.HISTORY} Invalid since: ${sinceText} (use e.g. 30m, 12h, 7d or a date)`,
+      );
+      return;
+    }
+
+    const filter = CONFIG.MAC_TARGET.test(target) ? { mac: target } : { id: parseId(target) };
+    if (Number.isNaN(filter.id)) {
+      replyToAdmin(admin, `${CONFIG.LOG_PREFIX.HISTORY} Invalid ID format: ${target}`);
+      return;
+    }
+
+    const requestId = admin && admin.requestId; // Still known when the query completes
+    history
+      .query({ ...filter, since })
+      .then((events) => {
+        const body = events.map((event) => `\n  ${formatHistoryEvent(event)}`).join("");
+        const range = since ? ` since ${since.toISOString()}` : "";
+        replyToAdmin(
+          admin,
+          `${CONFIG.LOG_PREFIX.HISTORY} ${target}: ${events.length} events${range}${body}`,
+          { type: "history", target, since: since ? since.toISOString() : null, events },
+          requestId,
+        );
+      })
+      .catch((error) => {
+        replyToAdmin(
+          admin,
+          `${CONFIG.LOG_PREFIX.HISTORY} Failed to read history: ${error.message}`,
+          { type: "error", code: "HISTORY_FAILED", message: error.message },
+          requestId,
+        );
+      });
+  }
+
+  // Write a command to every writable device without waiting for replies.
+  // Returns the IDs of the sessions it was sent to.
+  function broadcast(cmd) {
+    const sent = [];
+    state.sessions.forEach((session) => {
+      if (session.socket.writable) {
+        logToAdmins(
+          `${CONFIG.LOG_PREFIX.CMD} ${session.id} ${session.addr} ${cmd}`,
+          "commands",
+          session,
+        );
+        try {
+          writeLine(session, cmd);
+          session.counters.commandsSent++;
+          server.emit("session:command", session, cmd);
+          sent.push(session.id);
+        } catch (error) {
+          logger.error("Error sending command:", error.message);
+        }
+      }
+    });
+    return sent;
+  }
+
+  // Close a device connection on admin request
+  function dropSession(session) {
+    if (!session) return false;
+    logToAdmins(`${CONFIG.LOG_PREFIX.DROP} ${session.id}`, "commands", session);
+    session.closeReason = "dropped by admin";
+    session.socket.end("Connection dropped by admin.\n");
+    session.socket.destroy();
+    return true;
+  }
+
+  // --- Listeners ---
+
+  // Read the TLS key and certificate; only called when a TLS listener is enabled
+  function loadTlsCredentials() {
+    const read = (file, what) => {
+      try {
+        return fs.readFileSync(file);
+      } catch (e) {
+        throw new Error(`Failed to load server ${what}: ${e.message}`);
+      }
+    };
+    return {
+      key: read(CONFIG.TLS.KEY_PATH, "key"),
+      cert: read(CONFIG.TLS.CERT_PATH, "cert"),
+    };
+  }
+
+  // TLS options for the RC TLS listener, adding client certificate checks for mTLS
+  function rcTlsOptions(credentials) {
+    if (!CONFIG.DEVICE_MTLS.CA_PATH) {
+      return credentials;
+    }
+
+    let ca;
+    try {
+      ca = fs.readFileSync(CONFIG.DEVICE_MTLS.CA_PATH);
+    } catch (e) {
+      throw new Error(`Failed to load client CA: ${e.message}`);
+    }
+    return {
+      ...credentials,
+      ca,
+      requestCert: true,
+      rejectUnauthorized: CONFIG.DEVICE_MTLS.REQUIRE_CERT,
+    };
+  }
+
+  // Listeners that use the server certificate
+  function tlsListenerNames() {
+    return ["RC_TLS", "ADMIN_TLS", "HTTP"].filter(
+      (name) => state.listeners.has(name) && (name !== "HTTP" || CONFIG.HTTP.TLS),
+    );
+  }
+
+  // Warn admins when the server certificate expires within
+  // TLS.EXPIRY_WARNING_DAYS; returns its expiry date
+  function checkCertificate() {
+    const validTo = new Date(new crypto.X509Certificate(tlsCert).validTo);
+    const days = Math.floor((validTo.getTime() - Date.now()) / 86400000);
+    if (days < CONFIG.TLS.EXPIRY_WARNING_DAYS) {
+      logToAdmins(
+        `${CONFIG.LOG_PREFIX.TLS} Certificate ${CONFIG.TLS.CERT_PATH} ${days < 0 ? "has expired" : `expires in ${days} days`} (${validTo.toISOString()})`,
+      );
+    }
+    return validTo;
+  }
+
+  // Re-read the key, certificate and device CA and hand them to the running
+  // TLS listeners. Connections already open keep their session; new ones get
+  // the new certificate. Throws, changing nothing, if the files are invalid.
+  // Returns the names of the reloaded listeners.
+  function reloadTls() {
+    const names = tlsListenerNames();
+    if (names.length === 0) return names;
+    const credentials = loadTlsCredentials();
+    const options = { RC_TLS: rcTlsOptions(credentials), ADMIN_TLS: credentials, HTTP: credentials };
+    names.forEach((name) => tls.createSecureContext(options[name])); // Validate before applying any
+    names.forEach((name) => state.listeners.get(name).setSecureContext(options[name]));
+    tlsCert = credentials.cert;
+    logToAdmins(`${CONFIG.LOG_PREFIX.TLS} Reloaded key and certificate for ${names.join(", ")}`);
+    checkCertificate();
+    return names;
+  }
+
+  // Create and bind one listener; resolves once it is listening
+  function listen(name, listener) {
+    const netServer = listener.create();
+    state.listeners.set(name, netServer);
+
+    const port = CONFIG.PORTS[name];
+    const host = CONFIG.BIND[name] || undefined; // All interfaces when unset
+    return new Promise((resolve, reject) => {
+      netServer.once("error", reject);
+      netServer.listen(port, host, () => {
+        netServer.off("error", reject);
+        netServer.on("error", (err) => {
+          logger.error(listener.errorLabel, err);
+        });
+        const bound = netServer.address().port;
+        logger.log(`${listener.label} listening on ${host ? `${host}:` : "port "}${bound}`);
+        resolve();
+      });
+    });
+  }
+
+  // --- Public API ---
+
+  // Load credentials and policy, then open every enabled listener.
+  // Rejects (after closing anything already opened) if a listener cannot bind.
+  async function start() {
+    adminAuth = createAdminAuthenticator({
+      credentialsPath: CONFIG.ADMIN_AUTH.CREDENTIALS_FILE,
+      disabled: CONFIG.ADMIN_AUTH.DISABLED,
+      maxFailures: CONFIG.ADMIN_AUTH.MAX_FAILURES,
+      lockoutTime: CONFIG.ADMIN_AUTH.LOCKOUT,
+      onError: (error) => logger.error("Failed to reload admin credentials:", error.message),
+    });
+    tags = createTags({
+      file: CONFIG.TAGS.FILE,
+      onError: (error) => logger.error("Tags error:", error.message),
+    });
+    scheduler = createScheduler({
+      file: CONFIG.SCHEDULER.FILE,
+      run: runJob,
+      log: (message) => logToAdmins(`${CONFIG.LOG_PREFIX.SCHEDULE} ${message}`),
+      onError: (error) => logger.error("Scheduler error:", error.message),
+    });
+    devicePolicy = await createDevicePolicy({
+      allowlistFile: CONFIG.DEVICE_AUTH.ALLOWLIST_FILE,
+      denylistFile: CONFIG.DEVICE_AUTH.DENYLIST_FILE,
+      secretsFile: CONFIG.DEVICE_AUTH.SECRETS_FILE,
+      secretMode: CONFIG.DEVICE_AUTH.SECRET_MODE,
+      modules: CONFIG.DEVICE_AUTH.POLICY_MODULES,
+      bindCertificate: Boolean(CONFIG.DEVICE_MTLS.CA_PATH && CONFIG.DEVICE_MTLS.BIND_MAC),
+    });
+
+    const needsTls =
+      CONFIG.LISTENERS.RC_TLS ||
+      CONFIG.LISTENERS.ADMIN_TLS ||
+      (CONFIG.LISTENERS.HTTP && CONFIG.HTTP.TLS);
+    const tlsCredentials = needsTls ? loadTlsCredentials() : null;
+
+    const authenticate = adminAuth.enabled ? adminAuth.authenticate : null;
+    const httpApi = createHttpApi(server, { authenticate });
+    const handleHttpRequest = (req, res) => httpApi.handle(req, res);
+    if (CONFIG.LISTENERS.HTTP && CONFIG.HTTP.DASHBOARD) {
+      dashboard = createDashboard(server, { authenticate, allowedOrigins: CONFIG.HTTP.ALLOWED_ORIGINS });
+      httpApi.route("GET", /^\/$/, (req, params, res) => dashboard.page(req, res));
+    }
+    if (CONFIG.LISTENERS.HTTP && CONFIG.HTTP.METRICS) {
+      metrics = createMetrics(server);
+      metrics.start();
+      httpApi.route("GET", /^\/metrics$/, (req, params, res) => {
+        const body = metrics.render();
+        res.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+          "Content-Length": Buffer.byteLength(body),
+        });
+        res.end(body);
+      });
+    }
+
+    // Keys match CONFIG.PORTS, CONFIG.BIND and CONFIG.LISTENERS
+    const listeners = {
+      RC: {
+        label: "Remote Control server",
+        errorLabel: "RC Server Error:",
+        create: () => net.createServer(handleRemoteConnection),
+      },
+      ADMIN: {
+        label: "Admin server",
+        errorLabel: "Admin Server Error:",
+        create: () => net.createServer(handleAdminConnection),
+      },
+      RC_TLS: {
+        label: "Remote Control TLS server",
+        errorLabel: "RC TLS Server Error:",
+        create: () => tls.createServer(rcTlsOptions(tlsCredentials), handleRemoteConnection),
+      },
+      ADMIN_TLS: {
+        label: "Admin TLS server",
+        errorLabel: "Admin TLS Server Error:",
+        create: () => tls.createServer(tlsCredentials, handleAdminConnection),
+      },
+      HTTP: {
+        label: CONFIG.HTTP.TLS ? "HTTPS API server" : "HTTP API server",
+        errorLabel: "HTTP Server Error:",
+        create: () => {
+          const httpServer = CONFIG.HTTP.TLS
+            ? https.createServer(tlsCredentials, handleHttpRequest)
+            : http.createServer(handleHttpRequest);
+          if (dashboard) dashboard.attach(httpServer);
+          return httpServer;
+        },
+      },
+    };
+
+    // Recording starts before the first device can connect
+    deviceLogs = createDeviceLogs(server, {
+      dir: CONFIG.DEVICE_LOGS.DIR,
+      capture: CONFIG.DEVICE_LOGS.CAPTURE,
+      maxSize: CONFIG.DEVICE_LOGS.MAX_SIZE,
+      maxAgeDays: CONFIG.DEVICE_LOGS.MAX_AGE_DAYS,
+      onError: (error) => logger.error("Device log error:", error.message),
+    });
+    deviceLogs.start();
+    if (CONFIG.HISTORY.FILE) {
+      history = createHistory(server, {
+        file: CONFIG.HISTORY.FILE,
+        retentionDays: CONFIG.HISTORY.RETENTION_DAYS,
+        pruneInterval: CONFIG.HISTORY.PRUNE_INTERVAL,
+        onError: (error) => logger.error("History error:", error.message),
+      });
+      history.start();
+    }
+    scheduler.start();
+    floodGuard.start();
+    if (CONFIG.HEARTBEAT.INTERVAL) {
+      heartbeat = createHeartbeat(server, {
+        interval: CONFIG.HEARTBEAT.INTERVAL,
+        command: CONFIG.HEARTBEAT.COMMAND,
+        staleAfter: CONFIG.HEARTBEAT.STALE_AFTER,
+        dropAfter: CONFIG.HEARTBEAT.DROP_AFTER,
+        onStale: (session, missed) => {
+          logToAdmins(
+            `${CONFIG.LOG_PREFIX.STALE} ID:${session.id} ${session.mac} ${session.addr} no reply to ${missed} heartbeats`,
+            "events",
+            session,
+            sessionEvent("stale", session, { missed }),
+          );
+          server.emit("session:stale", session, missed);
+        },
+        onActive: (session) => {
+          logToAdmins(
+            `${CONFIG.LOG_PREFIX.STALE} ID:${session.id} ${session.mac} ${session.addr} responding again`,
+            "events",
+            session,
+            sessionEvent("active", session),
+          );
+        },
+        onTimeout: (session, missed) => expireSession(session, `heartbeat timeout (${missed} missed)`),
+        write: writeLine,
+      });
+      heartbeat.start();
+    }
+
+    try {
+      await Promise.all(
+        Object.entries(listeners)
+          .filter(([name]) => CONFIG.LISTENERS[name])
+          .map(([name, listener]) => listen(name, listener)),
+      );
+    } catch (error) {
+      await stop();
+      throw error;
+    }
+
+    logToAdmins(`${CONFIG.LOG_PREFIX.SERVER_START}`);
+
+    if (tlsCredentials) {
+      tlsCert = tlsCredentials.cert;
+      checkCertificate();
+      certificateTimer = setInterval(checkCertificate, 24 * 60 * 60 * 1000);
+      certificateTimer.unref();
+    }
+
+    if (CONFIG.MQTT.URL) {
+      mqttBridge = createMqttBridge(server, {
+        url: CONFIG.MQTT.URL,
+        username: CONFIG.MQTT.USERNAME,
+        password: CONFIG.MQTT.PASSWORD,
+        clientId: CONFIG.MQTT.CLIENT_ID,
+        prefix: CONFIG.MQTT.TOPIC_PREFIX,
+        qos: CONFIG.MQTT.QOS,
+        log: (message) => logToAdmins(`${CONFIG.LOG_PREFIX.MQTT} ${message}`),
+      });
+      mqttBridge.start();
+    }
+
+    if (!adminAuth.enabled) {
+      logger.warn("Warning: ADMIN_AUTH.DISABLED is set, admin ports accept commands without login");
+    }
+
+    const portInfo = (name) => (CONFIG.LISTENERS[name] ? address(name).port : "off");
+    logger.log(
+      `RCPORT: ${portInfo("RC")} ADMINPORT: ${portInfo("ADMIN")} RCPORT_TLS: ${portInfo("RC_TLS")} ADMINPORT_TLS: ${portInfo("ADMIN_TLS")} HTTPPORT: ${portInfo("HTTP")}`,
+    );
+    return server;
+  }
+
+  // Close every listener and connection; resolves once the listeners are closed
+  async function stop() {
+    const closing = closeListeners();
+    // HTTP keep-alive connections would otherwise hold close() open
+    state.listeners.forEach((netServer) => {
+      if (netServer.closeAllConnections) netServer.closeAllConnections();
+    });
+    state.listeners.clear();
+    clearInterval(certificateTimer);
+    if (scheduler) scheduler.stop();
+    if (heartbeat) {
+      heartbeat.stop();
+      heartbeat = null;
+    }
+    rollout.stop();
+    floodGuard.stop();
+
+    if (mqttBridge) {
+      await mqttBridge.stop();
+      mqttBridge = null;
+    }
+    if (dashboard) dashboard.close();
+    state.sessions.forEach((session) => {
+      if (!session.closeReason) session.closeReason = "server stopped";
+      session.socket.destroy();
+    });
+    state.adminSockets.forEach((socket) => socket.destroy());
+    await Promise.all(closing);
+    state.closing.clear();
+
+    // After the sockets are closed, so their close events are recorded
+    if (deviceLogs) {
+      deviceLogs.stop();
+      deviceLogs = null;
+    }
+    if (history) {
+      history.stop();
+      history = null;
+    }
+    if (metrics) {
+      metrics.stop();
+      metrics = null;
+    }
+  }
+
+  // Stop accepting connections. Returns a promise per listener, resolved once
+  // the listener and all of its connections are closed.
+  function closeListeners() {
+    state.listeners.forEach((netServer) => {
+      if (!state.closing.has(netServer)) {
+        state.closing.set(netServer, new Promise((resolve) => netServer.close(() => resolve())));
+      }
+    });
+    return [...state.closing.values()];
+  }
+
+  // Graceful stop: refuse new connections, tell the admins, send devices
+  // SHUTDOWN.COMMAND and close their connections, then stop() once they are
+  // all closed or SHUTDOWN.DEADLINE has passed
+  async function shutdown() {
+    closeListeners();
+    const sessions = [...state.sessions.values()];
+    logToAdmins(
+      `${CONFIG.LOG_PREFIX.SHUTDOWN} Server shutting down, closing ${sessions.length} device connections within ${CONFIG.SHUTDOWN.DEADLINE / 1000}s`,
+    );
+    sessions.forEach((session) => {
+      session.closeReason = "server shutdown";
+      if (!session.socket.writable) return;
+      if (CONFIG.SHUTDOWN.COMMAND) writeLine(session, CONFIG.SHUTDOWN.COMMAND);
+      session.socket.end(); // The device closes its side, or stop() destroys it
+    });
+
+    await new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(deadline);
+        server.off("session:close", closed);
+        resolve();
+      };
+      const closed = () => {
+        if (state.sessions.size === 0) done();
+      };
+      const deadline = setTimeout(done, CONFIG.SHUTDOWN.DEADLINE);
+      server.on("session:close", closed);
+      closed();
+    });
+    await stop();
+  }
+
+  // Bound address of a listener (RC, ADMIN, RC_TLS, ADMIN_TLS, HTTP), or null
+  function address(name) {
+    const netServer = state.listeners.get(name);
+    return netServer ? netServer.address() : null;
+  }
+
+  // Send a command to one device by ID or MAC and resolve with its reply
+  function sendCommand(target, cmd) {
+    const session = findSession(target);
+    if (!session) {
+      commandFailed("NOT_FOUND", null);
+      return Promise.reject(new CommandError("NOT_FOUND", `Device ${target} not found.`));
+    }
+    if (!session.socket.writable) {
+      commandFailed("NOT_WRITABLE", session);
+      return Promise.reject(
+        new CommandError("NOT_WRITABLE", `Device ${target} socket not writable.`),
+      );
+    }
+
+    logToAdmins(`${CONFIG.LOG_PREFIX.CMD} ${cmd}`, "commands", session);
+    return new Promise((resolve, reject) => {
+      sendRequest(session, cmd, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+
+  return Object.assign(server, {
+    config: CONFIG,
+    start,
+    stop,
+    shutdown,
+    reloadTls,
+    address,
+    // Live session map keyed by session ID; treat as read-only
+    get sessions() {
+      return state.sessions;
+    },
+    findSession,
+    describeSession,
+    sendCommand,
+    broadcast,
+    // Drop a device connection by ID or MAC; returns false if not found
+    drop: (target) => dropSession(findSession(target)),
+    // Run an admin command line as if typed on the local console
+    processCommand: (line) => processAdminCommand(line),
+  });
+}
@@ -0,0 +1,89 @@
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Admin Subscriptions
+ *
+ * Decides which live log messages an admin connection receives:
+ *
+ *   - categories: "lines" (device output), "events" (connect, identify, close,
+ *     errors) and "commands" (admin command echoes, [CMD], [DROP]) can be
+ *     muted one by one; "system" messages (server and admin events) only by
+ *     muting all
+ *   - watch list: when not empty, session messages are delivered only if they
+ *     match an entry: a session ID, a MAC, or free text found in the message
+ *
+ * Replies to an admin's own commands bypass the subscription.
+ */
+
+export const CATEGORIES = ["lines", "events", "commands"];
+
+const MAC_PATTERN = /^(?:[0-9a-fA-F]{2}[:-]?){5}[0-9a-fA-F]{2}$/;
+
+export function createSubscription() {
+  let muted = false;
+  const mutedCategories = new Set();
+  const watches = []; // { type: "id" | "mac" | "text", value, label }
+
+  function matches(entry, message, session) {
+    if (entry.type === "id") return Boolean(session) && session.id === entry.value;
+    if (entry.type === "mac") {
+      return session
+        ? normalizeMac(session.mac) === entry.value
+        : normalizeMac(message).includes(entry.value);
+    }
+    return message.toLowerCase().includes(entry.value);
+  }
+
+  return {
+    // Should a message of this category (about session, if any) be delivered?
+    wants(message, category, session = null) {
+      if (muted) return false;
+      if (category === "system") return true;
+      if (mutedCategories.has(category)) return false;
+      return watches.length === 0 || watches.some((entry) => matches(entry, message, session));
+    },
+
+    // Add a watch entry; id is the session ID when target names a session
+    watch(target, id = null) {
+      const entry = MAC_PATTERN.test(target)
+        ? { type: "mac", value: normalizeMac(target), label: target }
+        : id !== null
+          ? { type: "id", value: id, label: target }
+          : { type: "text", value: target.toLowerCase(), label: target };
+      if (!watches.some((other) => other.type === entry.type && other.value === entry.value)) {
+        watches.push(entry);
+      }
+      return entry;
+    },
+
+    // Remove one watch entry by its label, or all of them; returns the number removed
+    unwatch(target = null) {
+      const before = watches.length;
+      const keep = watches.filter(
+        (entry) => target !== null && entry.label.toLowerCase() !== target.toLowerCase(),
+      );
+      watches.splice(0, watches.length, ...keep);
+      return before - watches.length;
+    },
+
+    // Mute everything (category null) or one category
+    mute(category = null) {
+      if (category) mutedCategories.add(category);
+      else muted = true;
+    },
+
+    unmute(category = null) {
+      if (category) mutedCategories.delete(category);
+      else muted = false;
+    },
+
+    // e.g. "muted: no, categories: lines on, events on, commands off, watching: 1001, AA:BB:..."
+    describe() {
+      const categories = CATEGORIES.map(
+        (category) => `${category} ${mutedCategories.has(category) ? "off" : "on"}`,
+      ).join(", ");
+      const watching = watches.map((entry) => entry.label).join(", ") || "all";
+      return `muted: ${muted ? "yes" : "no"}, categories: ${categories}, watching: ${watching}`;
+    },
+  };
+}
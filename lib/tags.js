@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { normalizeMac } from "./device-policy.js";
+
+/*
+ * Device Tags
+ *
+ * Named groups of devices by MAC, used as "@group" command targets:
+ *
+ *   { "rackB": ["8C4F00A55C7C", "8C4F00A55C7D"], "lab": [...] }
+ *
+ * Tags belong to the MAC, not the session, so they apply to devices that are
+ * offline and survive restarts when a file is configured (written on every
+ * change). MACs are stored without separators.
+ */
+
+export const TAG_NAME = /^[A-Za-z0-9_.-]+$/;
+
+export function createTags({ file = null, onError = () => {} } = {}) {
+  const groups = new Map(); // Group name -> Set of normalized MACs
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Cannot read tags file ${file}: ${e.message}`);
+    }
+    Object.entries(data).forEach(([name, macs]) => {
+      groups.set(name, new Set(macs.map(normalizeMac)));
+    });
+  }
+
+  // Write to a temp file first so a crash never leaves a truncated file
+  function save() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const data = Object.fromEntries([...groups].map(([name, macs]) => [name, [...macs]]));
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + "\n");
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  // Group names match case-insensitively; returns the stored spelling
+  function groupName(name) {
+    const wanted = name.toLowerCase();
+    return [...groups.keys()].find((existing) => existing.toLowerCase() === wanted);
+  }
+
+  // Add a MAC to a group, creating the group; returns false if already tagged
+  function tag(mac, name) {
+    const key = groupName(name) || name;
+    const macs = groups.get(key) || new Set();
+    const before = macs.size;
+    macs.add(normalizeMac(mac));
+    groups.set(key, macs);
+    if (macs.size === before) return false;
+    save();
+    return true;
+  }
+
+  // Remove a MAC from one group, or from all groups when name is null.
+  // Empty groups are deleted. Returns the names of the groups it left.
+  function untag(mac, name = null) {
+    const wanted = normalizeMac(mac);
+    const names = name === null ? [...groups.keys()] : [groupName(name)].filter(Boolean);
+    const left = names.filter((key) => groups.get(key).delete(wanted));
+    left.forEach((key) => {
+      if (groups.get(key).size === 0) groups.delete(key);
+    });
+    if (left.length) save();
+    return left;
+  }
+
+  // MACs of a group, or null if there is no such group
+  function members(name) {
+    const key = groupName(name);
+    return key ? [...groups.get(key)] : null;
+  }
+
+  // Names of the groups a MAC belongs to
+  function tagsOf(mac) {
+    const wanted = normalizeMac(mac);
+    return [...groups].filter(([, macs]) => macs.has(wanted)).map(([name]) => name);
+  }
+
+  // { name: [macs] } for every group
+  function list() {
+    return Object.fromEntries([...groups].map(([name, macs]) => [name, [...macs]]));
+  }
+
+  load();
+  return { tag, untag, members, tagsOf, list };
+}
@@ -8,7 +8,7 @@
  * 
  * Prerequisites:
  *   - npm run certs  # Generate TLS certificates
- *   - npm start  # Start the server
+ *   - npm start -- --admin-auth-disabled  # Start the server without admin login
  */
 
 import net from 'net';
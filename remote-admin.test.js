@@ -5,13 +5,30 @@
  * Run with: npm test
  * Prerequisites:
  *   - npm run certs  # Generate TLS certificates
- *   - npm start  # Start the server
+ *   - npm start -- --admin-auth-disabled  # Start the server without admin login
  */
 
 import net from 'net';
 import tls from 'tls';
 import readline from 'readline';
-import { spawn } from 'child_process';
+import { spawn, execFileSync } from 'child_process';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createAdminAuthenticator, hashPassword, hashToken, saveCredentials } from './lib/admin-auth.js';
+import { createDevicePolicy } from './lib/device-policy.js';
+import { ConfigError, loadConfig } from './lib/config.js';
+import { createRemoteAdminServer } from './lib/server.js';
+import { createHistory, parseSince } from './lib/history.js';
+import { parseCron, nextCronTime, parseSchedule } from './lib/scheduler.js';
+import { createCommandQueue } from './lib/command-queue.js';
+import { createRollout } from './lib/rollout.js';
+import { createLineFramer } from './lib/line-framer.js';
+import WebSocket from 'ws';
+import mqtt from 'mqtt';
+import { Aedes } from 'aedes';
 
 // Test configuration
 const TEST_CONFIG = {
@@ -99,6 +116,25 @@ async function sendCommand(socket, command, timeout = TEST_CONFIG.TIMEOUT) {
     });
 }
 
+// Config for an embedded server: ephemeral plain-TCP ports, and every file
+// setting pointed away from the repo so tests never read or write its state.
+// Each section in overrides is merged over these key by key.
+function embeddedConfig(overrides = {}) {
+    const config = {
+        PORTS: { RC: 0, ADMIN: 0 },
+        LISTENERS: { RC_TLS: false, ADMIN_TLS: false },
+        ADMIN_AUTH: { CREDENTIALS_FILE: path.join(os.tmpdir(), `no-credentials-${process.pid}.json`), DISABLED: true },
+        HISTORY: { FILE: null },
+        TAGS: { FILE: null },
+        SCHEDULER: { FILE: null },
+        DEVICE_LOGS: { DIR: path.join(os.tmpdir(), `remote-admin-logs-${process.pid}`) },
+    };
+    for (const [section, values] of Object.entries(overrides)) {
+        config[section] = { ...config[section], ...values };
+    }
+    return config;
+}
+
 // Test classes
 class RemoteDeviceSimulator {
     constructor(id, mac, fwVersion) {
@@ -371,6 +407,1532 @@ async function runTests() {
             assert(false, 'Invalid command handling', e.message);
         }
 
+        // Test 15: Device lines are framed on CR/LF, not on TCP chunks
+        console.log(`\n${colors.blue}--- Line Framing Tests ---${colors.reset}`);
+        const device2 = new RemoteDeviceSimulator(1002, '8C:4F:00:A5:5C:7D', 'IGS03MP-v3.0.6');
+        try {
+            const adminSocket = await connectTcp(TEST_CONFIG.ADMIN_PORT);
+            let adminOutput = '';
+            adminSocket.on('data', (data) => {
+                adminOutput += data.toString();
+            });
+
+            await device2.connect(TEST_CONFIG.RC_PORT);
+            // MAC and the first half of the firmware line in one chunk
+            device2.socket.write(`${device2.mac}\r\nFIRMWARE_VER`);
+            await sleep(100);
+            device2.socket.write(`SION=${device2.fwVersion}\nDNS1=8.8.8.8\rDNS2=8.8.4.4\n`);
+            await sleep(300);
+
+            const lines = adminOutput.split('\n').filter(l => l.includes('[MGS LINE]'));
+            assert(lines.some(l => l.endsWith(`FIRMWARE_VERSION=${device2.fwVersion}`)), 'Line split across chunks is reassembled');
+            assert(lines.some(l => l.endsWith('DNS1=8.8.8.8')) && lines.some(l => l.endsWith('DNS2=8.8.4.4')), 'Multiple lines in one chunk are logged separately');
+
+            const lsResponse = await sendCommand(adminSocket, 'ls 8C4F00A55C7D', 300);
+            assert(lsResponse.includes(device2.fwVersion), 'Firmware version parsed from split line');
+
+            adminSocket.end();
+            adminSocket.destroy();
+        } catch (e) {
+            assert(false, 'Line framing', e.message);
+        } finally {
+            device2.disconnect();
+        }
+
+        // Over-long lines are truncated whether or not their terminator has arrived
+        const framed = [];
+        const overflows = [];
+        const framer = createLineFramer((line) => framed.push(line), { maxLength: 10, onOverflow: (length) => overflows.push(length) });
+        framer.push(`${'A'.repeat(50)}\nOK\n`);
+        framer.push('BBBBBBBB');
+        framer.push('BBBBBBBB\n');
+        framer.push(`${'C'.repeat(12)}`);
+        framer.push('CCCC\nDONE\n');
+        assert(framed.join(',') === 'AAAAAAAAAA,OK,BBBBBBBBBB,CCCCCCCCCC,DONE', 'Over-long lines are truncated to the maximum length', framed.join(','));
+        assert(overflows.join(',') === '50,16,12', 'Every over-long line is reported', overflows.join(','));
+
+        // Test 16: CMD replies are collected and returned to the issuing admin
+        console.log(`\n${colors.blue}--- Command Reply Tests ---${colors.reset}`);
+        const device3 = new RemoteDeviceSimulator(1003, '8C:4F:00:A5:5C:7E', 'IGS03MP-v3.0.7');
+        try {
+            const issuer = await connectTcp(TEST_CONFIG.ADMIN_PORT);
+            const observer = await connectTcp(TEST_CONFIG.ADMIN_PORT);
+            let observerOutput = '';
+            observer.on('data', (data) => {
+                observerOutput += data.toString();
+            });
+
+            await device3.connect(TEST_CONFIG.RC_PORT);
+            await device3.sendDeviceInfo();
+            device3.socket.on('data', (data) => {
+                if (data.toString().includes('SYS DUMP')) {
+                    device3.socket.write('UPTIME=3 days, 7:25:55\nDNS1=8.8.8.8\nRESULT:0\n');
+                }
+            });
+
+            const reply = await sendCommand(issuer, `cmd ${device3.mac} SYS DUMP`, 500);
+            const result = reply.split('[CMD RESULT]')[1] || '';
+            assert(result.includes('SYS DUMP (3 lines)'), 'CMD reply is consolidated into one result');
+            assert(result.includes('  DNS1=8.8.8.8') && result.includes('  RESULT:0'), 'CMD result contains the device reply lines');
+            assert(!observerOutput.includes('[CMD RESULT]'), 'CMD result is only sent to the issuing admin');
+
+            issuer.end();
+            issuer.destroy();
+            observer.end();
+            observer.destroy();
+        } catch (e) {
+            assert(false, 'CMD reply correlation', e.message);
+        } finally {
+            device3.disconnect();
+        }
+
+        // Test 17: Admin authentication with passwords, tokens and lockout
+        console.log(`\n${colors.blue}--- Admin Authentication Tests ---${colors.reset}`);
+        const credentialsPath = path.join(os.tmpdir(), `remote-admin-credentials-${process.pid}.json`);
+        try {
+            saveCredentials(credentialsPath, {
+                users: { alice: hashPassword('s3cret pass') },
+                tokens: { 'ci-bot': hashToken('abc123') },
+            });
+            const auth = createAdminAuthenticator({ credentialsPath, maxFailures: 3, lockoutTime: 60000 });
+
+            assert(auth.enabled, 'Authentication enabled when credentials file exists');
+            assert(auth.authenticate('10.0.0.1', { user: 'alice', password: 's3cret pass' }).identity === 'alice', 'Valid password logs in');
+            assert(auth.authenticate('10.0.0.1', { token: 'abc123' }).identity === 'token:ci-bot', 'Valid API token logs in');
+            assert(!auth.authenticate('10.0.0.1', { user: 'alice', password: 'wrong' }).identity, 'Wrong password is rejected');
+            assert(!auth.authenticate('10.0.0.1', { user: 'mallory', password: 'x' }).identity, 'Unknown user is rejected');
+
+            auth.authenticate('10.0.0.2', { user: 'alice', password: 'wrong' });
+            const third = auth.authenticate('10.0.0.2', { user: 'alice', password: 'wrong' });
+            assert(third.locked, 'Repeated failures lock the account');
+            const locked = auth.authenticate('10.0.0.3', { user: 'alice', password: 's3cret pass' });
+            assert(!locked.identity && locked.locked, 'Locked account rejects the correct password');
+            assert(auth.authenticate('10.0.0.3', { token: 'abc123' }).identity === 'token:ci-bot', 'Lockout does not affect other identities');
+
+            let missing = null;
+            try {
+                createAdminAuthenticator({ credentialsPath: `${credentialsPath}.missing`, maxFailures: 3, lockoutTime: 60000 });
+            } catch (e) {
+                missing = e;
+            }
+            assert(missing && missing.message.includes('ADMIN_AUTH.DISABLED'), 'Missing credentials file is an error');
+            const disabled = createAdminAuthenticator({ credentialsPath: `${credentialsPath}.missing`, disabled: true, maxFailures: 3, lockoutTime: 60000 });
+            assert(!disabled.enabled, 'Authentication disabled explicitly');
+        } catch (e) {
+            assert(false, 'Admin authentication', e.message);
+        } finally {
+            fs.rmSync(credentialsPath, { force: true });
+        }
+
+        // Test 18: Device authentication policy
+        console.log(`\n${colors.blue}--- Device Policy Tests ---${colors.reset}`);
+        const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-policy-'));
+        try {
+            const allowlistFile = path.join(policyDir, 'allow.txt');
+            const denylistFile = path.join(policyDir, 'deny.txt');
+            const secretsFile = path.join(policyDir, 'secrets.json');
+            const moduleFile = path.join(policyDir, 'policy.mjs');
+            fs.writeFileSync(allowlistFile, '# lab gateways\n8C:4F:00:A5:5C:7C\n8c4f00a55c7d\n8C4F00A55C7E\n');
+            fs.writeFileSync(denylistFile, '8C:4F:00:A5:5C:7D\n');
+            fs.writeFileSync(secretsFile, JSON.stringify({ '8C4F00A55C7C': 'k1', '8C:4F:00:A5:5C:7E': 'k2' }));
+            fs.writeFileSync(moduleFile, 'export default async (device) => device.addr === "10.9.9.9" ? { allowed: false, reason: "blocked subnet" } : undefined;\n');
+
+            const policy = await createDevicePolicy({ allowlistFile, denylistFile, secretsFile, modules: [moduleFile] });
+            // Simulated device answering the HMAC challenge with the given secret
+            const device = (mac, secret, addr = '10.0.0.1') => ({
+                mac,
+                addr,
+                challenge: async (prompt) => crypto.createHmac('sha256', secret).update(prompt.split(' ')[1]).digest('hex'),
+            });
+
+            assert((await policy.authorize(device('8C4F00A55C7C', 'k1'))).allowed, 'Allowlisted device with valid HMAC is accepted');
+            assert((await policy.authorize(device('8C:4F:00:A5:5C:7D', 'x'))).reason === 'MAC is denylisted', 'Denylisted device is rejected');
+            assert((await policy.authorize(device('11:22:33:44:55:66', 'x'))).reason === 'MAC not in allowlist', 'Unlisted device is rejected');
+            assert((await policy.authorize(device('8C:4F:00:A5:5C:7E', 'wrong'))).reason === 'challenge response mismatch', 'Wrong challenge response is rejected');
+            assert((await policy.authorize(device('8C:4F:00:A5:5C:7E', 'k2', '10.9.9.9'))).reason === 'blocked subnet', 'Custom policy module can reject');
+
+            const tokenPolicy = await createDevicePolicy({ secretsFile, secretMode: 'token' });
+            assert((await tokenPolicy.authorize({ mac: '8C4F00A55C7C', challenge: async () => 'k1' })).allowed, 'Token mode accepts the plain shared secret');
+
+            const certPolicy = await createDevicePolicy({ bindCertificate: true });
+            const certificate = { subject: { CN: 'gateway-rack-b' }, subjectaltname: 'DNS:8C4F00A55C7C, IP Address:10.0.0.5' };
+            assert((await certPolicy.authorize({ mac: '8C:4F:00:A5:5C:7C', certificate })).allowed, 'Certificate SAN bound to announced MAC is accepted');
+            assert(!(await certPolicy.authorize({ mac: '11:22:33:44:55:66', certificate })).allowed, 'Certificate for another MAC is rejected');
+            assert((await certPolicy.authorize({ mac: '11:22:33:44:55:66', certificate: null })).allowed, 'Certificate binding skipped without client certificate');
+
+            const openPolicy = await createDevicePolicy({});
+            assert((await openPolicy.authorize({ mac: '11:22:33:44:55:66' })).allowed, 'Default policy accepts any MAC');
+        } catch (e) {
+            assert(false, 'Device policy', e.message);
+        } finally {
+            fs.rmSync(policyDir, { recursive: true, force: true });
+        }
+
+        // Test 19: Config loading precedence and validation
+        console.log(`\n${colors.blue}--- Configuration Tests ---${colors.reset}`);
+        const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-config-'));
+        try {
+            const yamlFile = path.join(configDir, 'config.yaml');
+            fs.writeFileSync(yamlFile, 'PORTS:\n  RC: 6000\n  ADMIN: 6001\nLISTENERS:\n  RC_TLS: false\nCOMMAND_RESPONSE:\n  TERMINATOR: "^OK$"\n');
+
+            const defaults = loadConfig({ argv: [], env: {} }).config;
+            assert(defaults.PORTS.RC === 5000 && defaults.LISTENERS.ADMIN_TLS === true, 'Defaults apply without file, env or flags');
+
+            const { config } = loadConfig({
+                argv: ['--config', yamlFile, '--ports-admin=7001', '--no-listeners-admin-tls'],
+                env: { RA_PORTS_ADMIN: '6501', TLS_KEY_PATH: '/etc/ssl/key.pem' },
+            });
+            assert(config.PORTS.RC === 6000, 'Config file overrides defaults');
+            assert(config.PORTS.ADMIN === 7001, 'Flags override env vars and config file');
+            assert(config.TLS.KEY_PATH === '/etc/ssl/key.pem', 'Legacy env var names still apply');
+            const unmapped = loadConfig({ argv: [], env: { ADMIN_CREDENTIALS_PATH: '/tmp/creds.json' } }).config;
+            assert(unmapped.ADMIN_AUTH.CREDENTIALS_FILE === './admin-credentials.json', 'Only the TLS legacy env var names are mapped');
+            assert(config.LISTENERS.RC_TLS === false && config.LISTENERS.ADMIN_TLS === false, 'Listeners can be disabled');
+            assert(config.COMMAND_RESPONSE.TERMINATOR.test('OK'), 'Regex settings are compiled');
+
+            const errorFor = (options) => {
+                try {
+                    loadConfig(options);
+                    return null;
+                } catch (e) {
+                    return e;
+                }
+            };
+            const badPort = errorFor({ argv: ['--ports-rc', '70000'], env: {} });
+            assert(badPort instanceof ConfigError && badPort.message.includes('PORTS.RC'), 'Invalid value error names the key');
+            const badEnv = errorFor({ argv: [], env: { RA_TIMEOUTS_KEEP_ALIVE: 'soon' } });
+            assert(badEnv && badEnv.message.includes('TIMEOUTS.KEEP_ALIVE') && badEnv.message.includes('RA_TIMEOUTS_KEEP_ALIVE'), 'Env var error names key and variable');
+
+            const jsonFile = path.join(configDir, 'config.json');
+            fs.writeFileSync(jsonFile, JSON.stringify({ PORTS: { RCC: 1 } }));
+            const unknown = errorFor({ argv: ['--config', jsonFile], env: {} });
+            assert(unknown && unknown.message.includes('PORTS.RCC'), 'Unknown config file key is reported');
+        } catch (e) {
+            assert(false, 'Configuration', e.message);
+        } finally {
+            fs.rmSync(configDir, { recursive: true, force: true });
+        }
+
+        // Test 20: Embedded server created with the factory
+        console.log(`\n${colors.blue}--- Embedded Server Tests ---${colors.reset}`);
+        const quietLogger = { log() {}, warn() {}, error() {} };
+        const embedded = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                COMMAND_RESPONSE: { QUIET_PERIOD: 200 },
+            }),
+        });
+        const device4 = new RemoteDeviceSimulator(1004, '8C:4F:00:A5:5C:7F', 'IGS03MP-v3.0.8');
+        try {
+            const events = [];
+            ['session:connect', 'session:identified', 'session:close'].forEach((name) => {
+                embedded.on(name, (session) => events.push(`${name} ${session.mac}`));
+            });
+            const lines = [];
+            embedded.on('session:line', (session, line) => lines.push(line));
+            const commands = [];
+            embedded.on('admin:command', ({ line }) => commands.push(line));
+
+            await embedded.start();
+            const rcPort = embedded.address('RC').port;
+            assert(rcPort > 0 && embedded.address('RC_TLS') === null, 'Embedded server listens on a free port with TLS disabled');
+
+            await device4.connect(rcPort);
+            await device4.sendDeviceInfo();
+            device4.socket.on('data', (data) => {
+                if (data.toString().includes('GET VER')) {
+                    device4.socket.write('VERSION=3.0.8\nRESULT:0\n');
+                }
+            });
+            assert(events.includes('session:connect NA') && events.includes(`session:identified ${device4.mac}`), 'Session connect and identified events are emitted');
+            assert(lines.includes('FIRMWARE_VERSION=IGS03MP-v3.0.8'), 'session:line events carry device lines');
+
+            const session = embedded.findSession('8c4f00a55c7f');
+            assert(session && embedded.sessions.get(session.id) === session, 'Sessions can be looked up by MAC without separators');
+
+            const result = await embedded.sendCommand(session.id, 'GET VER');
+            assert(result.lines.join('|') === 'VERSION=3.0.8|RESULT:0', 'sendCommand resolves with the device reply');
+
+            const missing = await embedded.sendCommand('00:00:00:00:00:01', 'GET VER').catch((e) => e);
+            assert(missing.code === 'NOT_FOUND', 'sendCommand rejects with a code for unknown devices');
+
+            embedded.processCommand('ls');
+            assert(commands.includes('ls'), 'admin:command event is emitted for console commands');
+
+            assert(embedded.drop(device4.mac) === true, 'drop() closes a session by MAC');
+            await sleep(100);
+            assert(events.includes(`session:close ${device4.mac}`) && embedded.sessions.size === 0, 'session:close is emitted and the session removed');
+        } catch (e) {
+            assert(false, 'Embedded server', e.message);
+        } finally {
+            device4.disconnect();
+            await embedded.stop();
+        }
+
+        const unprotected = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({ ADMIN_AUTH: { DISABLED: false } }),
+        });
+        const refused = await unprotected.start().then(() => null, (e) => e);
+        assert(refused && refused.message.includes('not found') && unprotected.address('ADMIN') === null, 'start() rejects without credentials file unless ADMIN_AUTH.DISABLED');
+        if (!refused) await unprotected.stop();
+
+        // Test 21: REST API on an embedded server
+        console.log(`\n${colors.blue}--- REST API Tests ---${colors.reset}`);
+        const apiCredentials = path.join(os.tmpdir(), `remote-admin-api-credentials-${process.pid}.json`);
+        saveCredentials(apiCredentials, { users: {}, tokens: { ci: hashToken('api-secret') } });
+        const apiServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                PORTS: { HTTP: 0 },
+                LISTENERS: { HTTP: true },
+                ADMIN_AUTH: { CREDENTIALS_FILE: apiCredentials, DISABLED: false },
+                COMMAND_RESPONSE: { QUIET_PERIOD: 200, TIMEOUT: 1000 },
+            }),
+        });
+        const device5 = new RemoteDeviceSimulator(1005, '8C:4F:00:A5:5C:80', 'IGS03MP-v3.0.9');
+        try {
+            await apiServer.start();
+            const base = `http://localhost:${apiServer.address('HTTP').port}`;
+            const api = (method, url, body, token = 'api-secret') => fetch(base + url, {
+                method,
+                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body),
+            });
+
+            const unauthorized = await api('GET', '/sessions', undefined, 'wrong');
+            assert(unauthorized.status === 401, 'REST API rejects requests without valid credentials');
+
+            await device5.connect(apiServer.address('RC').port);
+            await device5.sendDeviceInfo();
+            device5.socket.on('data', (data) => {
+                if (data.toString().includes('GET VER')) {
+                    device5.socket.write('VERSION=3.0.9\nRESULT:0\n');
+                }
+            });
+
+            const list = await (await api('GET', '/sessions')).json();
+            const listed = list.sessions.find((s) => s.mac === device5.mac);
+            assert(listed && listed.fwVer === 'IGS03MP-v3.0.9' && 'wlanFwVer' in listed && listed.uptime, 'GET /sessions lists session fields');
+
+            const byMac = await api('GET', `/sessions/${encodeURIComponent(device5.mac)}`);
+            const unknown = await api('GET', '/sessions/00:00:00:00:00:02');
+            assert(byMac.status === 200 && unknown.status === 404, 'GET /sessions/:id finds by MAC and returns 404 for unknown');
+            const malformed = await api('GET', '/sessions/%E0%A4%A');
+            assert(malformed.status === 400 && (await malformed.json()).error.code === 'BAD_REQUEST', 'Malformed path encoding returns 400');
+
+            const command = await api('POST', `/sessions/${listed.id}/commands`, { command: 'GET VER' });
+            const reply = await command.json();
+            assert(command.status === 200 && reply.lines.includes('VERSION=3.0.9'), 'POST /sessions/:id/commands returns the device reply');
+
+            const timeout = await api('POST', `/sessions/${listed.id}/commands`, { command: 'NO REPLY' });
+            assert(timeout.status === 504, 'Unanswered command returns 504');
+
+            const badBody = await api('POST', '/commands/broadcast', { cmd: 'x' });
+            const broadcast = await api('POST', '/commands/broadcast', { command: 'SYS PING' });
+            const broadcastBody = await broadcast.json();
+            assert(badBody.status === 400 && broadcastBody.sessions.includes(listed.id), 'POST /commands/broadcast validates and sends to all sessions');
+
+            const dropped = await api('DELETE', `/sessions/${listed.id}`);
+            await sleep(100);
+            const gone = await api('DELETE', `/sessions/${listed.id}`);
+            assert(dropped.status === 200 && gone.status === 404, 'DELETE /sessions/:id drops the session');
+        } catch (e) {
+            assert(false, 'REST API', e.message);
+        } finally {
+            device5.disconnect();
+            await apiServer.stop();
+            fs.rmSync(apiCredentials, { force: true });
+        }
+
+        // Test 22: Browser dashboard page and WebSocket updates
+        console.log(`\n${colors.blue}--- Dashboard Tests ---${colors.reset}`);
+        const dashServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                PORTS: { HTTP: 0 },
+                LISTENERS: { HTTP: true },
+                HTTP: { ALLOWED_ORIGINS: ['https://ops.example.com'] },
+                COMMAND_RESPONSE: { QUIET_PERIOD: 200 },
+            }),
+        });
+        const device6 = new RemoteDeviceSimulator(1006, '8C:4F:00:A5:5C:81', 'IGS03MP-v3.1.0');
+        const lineListeners = dashServer.listenerCount('session:line');
+        let browser = null;
+        try {
+            await dashServer.start();
+            const httpPort = dashServer.address('HTTP').port;
+            const page = await fetch(`http://localhost:${httpPort}/`);
+            assert(page.status === 200 && (await page.text()).includes('/ws'), 'Dashboard page is served at /');
+
+            browser = new WebSocket(`ws://localhost:${httpPort}/ws`);
+            const messages = [];
+            browser.on('message', (data) => messages.push(JSON.parse(data.toString())));
+            await new Promise((resolve, reject) => {
+                browser.once('open', resolve);
+                browser.once('error', reject);
+            });
+            await sleep(100);
+            assert(messages[0] && messages[0].type === 'sessions', 'Dashboard receives a session snapshot on connect');
+
+            await device6.connect(dashServer.address('RC').port);
+            await device6.sendDeviceInfo();
+            device6.socket.on('data', (data) => {
+                if (data.toString().includes('SYS DUMP')) {
+                    device6.socket.write('UPTIME=1 days\nRESULT:0\n');
+                }
+            });
+            const identified = messages.find((m) => m.type === 'session' && m.event === 'identified');
+            assert(identified && identified.session.mac === device6.mac, 'Dashboard is told when a device is identified');
+            const line = messages.find((m) => m.type === 'line' && m.line === 'FIRMWARE_VERSION=IGS03MP-v3.1.0');
+            assert(line && line.session.fwVer === 'IGS03MP-v3.1.0', 'Dashboard streams device lines with updated session');
+
+            const id = identified.session.id;
+            browser.send(JSON.stringify({ type: 'command', requestId: 1, target: String(id), command: 'SYS DUMP' }));
+            await sleep(400);
+            const result = messages.find((m) => m.type === 'result' && m.requestId === 1);
+            assert(result && result.ok && result.result.lines.includes('RESULT:0'), 'Dashboard command returns the reply');
+
+            browser.send(JSON.stringify({ type: 'drop', requestId: 2, target: String(id) }));
+            await sleep(200);
+            const closed = messages.find((m) => m.type === 'session' && m.event === 'close');
+            assert(closed && closed.session.id === id, 'Dashboard drop closes the session');
+
+            // Status of a /ws upgrade sent with the given Origin header (101 = accepted)
+            const upgradeStatus = (origin) => new Promise((resolve) => {
+                const ws = new WebSocket(`ws://localhost:${httpPort}/ws`, { origin });
+                ws.once('open', () => {
+                    ws.terminate();
+                    resolve(101);
+                });
+                ws.once('unexpected-response', (req, res) => {
+                    req.destroy();
+                    resolve(res.statusCode);
+                });
+                ws.once('error', () => resolve(null));
+            });
+            assert(await upgradeStatus('http://evil.example') === 403, 'Dashboard refuses WebSocket upgrades from a foreign Origin');
+            assert(await upgradeStatus(`http://localhost:${httpPort}`) === 101, 'Dashboard accepts its own Origin');
+            assert(await upgradeStatus('https://ops.example.com') === 101, 'Dashboard accepts origins listed in HTTP.ALLOWED_ORIGINS');
+        } catch (e) {
+            assert(false, 'Dashboard', e.message);
+        } finally {
+            if (browser) browser.terminate();
+            device6.disconnect();
+            await dashServer.stop();
+        }
+        assert(dashServer.listenerCount('session:line') === lineListeners, 'Stopping the server removes the dashboard listeners');
+
+        // Test 23: MQTT bridge against an in-process broker
+        console.log(`\n${colors.blue}--- MQTT Bridge Tests ---${colors.reset}`);
+        const broker = await Aedes.createBroker();
+        const brokerServer = net.createServer(broker.handle);
+        await new Promise((resolve) => brokerServer.listen(0, resolve));
+        const brokerUrl = `mqtt://localhost:${brokerServer.address().port}`;
+        const mqttServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                COMMAND_RESPONSE: { QUIET_PERIOD: 200 },
+                MQTT: { URL: brokerUrl, TOPIC_PREFIX: 'lab' },
+            }),
+        });
+        const device7 = new RemoteDeviceSimulator(1007, '8C:4F:00:A5:5C:82', 'IGS03MP-v3.1.1');
+        const subscriber = mqtt.connect(brokerUrl);
+        try {
+            const received = [];
+            subscriber.on('message', (topic, payload) => received.push({ topic, payload: payload.toString() }));
+            await subscriber.subscribeAsync('lab/#');
+            await mqttServer.start();
+            await sleep(300);
+
+            const deviceCommands = [];
+            await device7.connect(mqttServer.address('RC').port);
+            device7.socket.on('data', (data) => deviceCommands.push(data.toString()));
+            await device7.sendDeviceInfo();
+            await sleep(200);
+
+            const status = received.find((m) => m.topic === 'lab/8C4F00A55C82/status');
+            assert(status && JSON.parse(status.payload).event === 'connect', 'Device connect is published to <prefix>/<mac>/status');
+            assert(received.some((m) => m.topic === 'lab/8C4F00A55C82/rx' && m.payload === 'FIRMWARE_VERSION=IGS03MP-v3.1.1'), 'Device lines are published to <prefix>/<mac>/rx');
+
+            await subscriber.publishAsync('lab/8C4F00A55C82/tx', 'SYS DUMP');
+            await sleep(300);
+            assert(deviceCommands.join('').includes('SYS DUMP\n'), 'Messages on <prefix>/<mac>/tx are sent to the device');
+            await subscriber.publishAsync(`lab/${mqttServer.findSession(device7.mac).id}/tx`, 'SYS BY ID');
+            await sleep(300);
+            assert(!deviceCommands.join('').includes('SYS BY ID'), 'Messages on a tx topic named by session ID are ignored');
+
+            device7.disconnect();
+            await sleep(300);
+            const closed = received.filter((m) => m.topic === 'lab/8C4F00A55C82/status').pop();
+            assert(closed && JSON.parse(closed.payload).event === 'close', 'Device close is published to <prefix>/<mac>/status');
+        } catch (e) {
+            assert(false, 'MQTT bridge', e.message);
+        } finally {
+            device7.disconnect();
+            await mqttServer.stop();
+            await subscriber.endAsync();
+            await new Promise((resolve) => broker.close(resolve));
+            brokerServer.close();
+        }
+
+        // Test 24: Persistent event history and the history command
+        console.log(`\n${colors.blue}--- History Tests ---${colors.reset}`);
+        const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-history-'));
+        const historyFile = path.join(historyDir, 'history.jsonl');
+        const historyServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                HISTORY: { FILE: historyFile },
+            }),
+        });
+        const device8 = new RemoteDeviceSimulator(1008, '8C:4F:00:A5:5C:83', 'IGS03MP-v3.1.2');
+        try {
+            await historyServer.start();
+            const rcPort = historyServer.address('RC').port;
+            await device8.connect(rcPort);
+            await device8.sendDeviceInfo();
+            device8.socket.write('FIRMWARE_VERSION=IGS03MP-v3.1.3\n');
+            await sleep(100);
+            device8.disconnect();
+            await sleep(100);
+            await device8.connect(rcPort);
+            await device8.sendDeviceInfo();
+
+            const admin = await connectTcp(historyServer.address('ADMIN').port);
+            const output = await sendCommand(admin, 'history 8c4f00a55c83', 300);
+            const header = output.match(/\[HISTORY\] 8c4f00a55c83: (\d+) events/);
+            assert(header && Number(header[1]) >= 8, 'history <mac> lists events of all sessions of the device');
+            assert(/close fw IGS03MP-v3\.1\.3/.test(output), 'Close event records the firmware version');
+            assert(/change fwVer: IGS03MP-v3\.1\.2 -> IGS03MP-v3\.1\.3/.test(output), 'Attribute changes are recorded');
+            assert(/ connect ::/.test(output.split('\n').slice(1).join('\n')), 'Connect events before the MAC is known are included');
+
+            const future = await sendCommand(admin, 'history 8C:4F:00:A5:5C:83 2099-01-01', 300);
+            const badSince = await sendCommand(admin, 'history 8C:4F:00:A5:5C:83 soon', 300);
+            assert(future.includes(': 0 events since') && badSince.includes('Invalid since'), 'history filters by since and validates it');
+            admin.destroy();
+
+            const entries = fs.readFileSync(historyFile, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+            assert(entries.some((e) => e.type === 'admin' && e.line.startsWith('history')), 'Admin commands are recorded');
+
+            assert(parseSince('2h', 10 * 3600 * 1000).getTime() === 8 * 3600 * 1000 && parseSince('never') === null, 'parseSince accepts durations and dates');
+
+            const pruneFile = path.join(historyDir, 'prune.jsonl');
+            fs.writeFileSync(pruneFile, [
+                JSON.stringify({ time: '2000-01-01T00:00:00.000Z', type: 'connect', id: 1 }),
+                JSON.stringify({ time: new Date().toISOString(), type: 'connect', id: 2 }),
+            ].join('\n') + '\n');
+            const pruned = createHistory(historyServer, { file: pruneFile, retentionDays: 30 }).prune();
+            assert(pruned === 1 && fs.readFileSync(pruneFile, 'utf8').trim().split('\n').length === 1, 'Events past retention are pruned');
+        } catch (e) {
+            assert(false, 'History', e.message);
+        } finally {
+            device8.disconnect();
+            await historyServer.stop();
+            fs.rmSync(historyDir, { recursive: true, force: true });
+        }
+
+        // Test 25: Per-device log files with capture toggles and rotation
+        console.log(`\n${colors.blue}--- Device Log Tests ---${colors.reset}`);
+        const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-logs-'));
+        const logServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                DEVICE_LOGS: { DIR: logsDir, MAX_SIZE: 300 },
+            }),
+        });
+        const device9 = new RemoteDeviceSimulator(1009, '8C:4F:00:A5:5C:84', 'IGS03MP-v3.1.4');
+        const device10 = new RemoteDeviceSimulator(1010, '8C:4F:00:A5:5C:85', 'IGS03MP-v3.1.4');
+        try {
+            await logServer.start();
+            const rcPort = logServer.address('RC').port;
+            const admin = await connectTcp(logServer.address('ADMIN').port);
+            await sendCommand(admin, 'capture on 8C:4F:00:A5:5C:84', 100);
+
+            await device9.connect(rcPort);
+            await device10.connect(rcPort);
+            await device9.sendDeviceInfo();
+            await device10.sendDeviceInfo();
+            device9.socket.write('TRACE=soak test line\n');
+            await sleep(100);
+
+            const deviceDir = path.join(logsDir, '8C4F00A55C84');
+            const today = fs.readdirSync(deviceDir).find((name) => /^\d{4}-\d{2}-\d{2}\.log$/.test(name));
+            const content = today ? fs.readFileSync(path.join(deviceDir, today), 'utf8') : '';
+            assert(/^\d{4}-\d{2}-\d{2}T[\d:.]+[+-]\d{2}:\d{2} TRACE=soak test line$/m.test(content), 'Captured device lines are written with timestamps to logs/<mac>/<date>.log');
+            assert(!fs.existsSync(path.join(logsDir, '8C4F00A55C85')), 'Devices without capture are not logged');
+
+            for (let i = 0; i < 10; i++) {
+                device9.socket.write(`TRACE=filler line ${i} ${'x'.repeat(40)}\n`);
+            }
+            await sleep(300);
+            const files = fs.readdirSync(deviceDir);
+            assert(files.some((name) => /\.1\.log\.gz$/.test(name)), 'Log files are rotated by size and compressed', files.join(', '));
+
+            const status = await sendCommand(admin, 'capture', 100);
+            assert(status.includes('all: off') && status.includes('8C4F00A55C84 on'), 'capture shows global and per-device state');
+
+            await sendCommand(admin, 'capture on all', 100);
+            device10.socket.write('TRACE=now captured\n');
+            await sleep(100);
+            assert(fs.existsSync(path.join(logsDir, '8C4F00A55C85')), 'capture on all enables every device');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Device logs', e.message);
+        } finally {
+            device9.disconnect();
+            device10.disconnect();
+            await logServer.stop();
+            fs.rmSync(logsDir, { recursive: true, force: true });
+        }
+
+        // Test 26: Per-admin subscriptions (watch, mute, categories)
+        console.log(`\n${colors.blue}--- Subscription Tests ---${colors.reset}`);
+        const subServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig(),
+        });
+        const device11 = new RemoteDeviceSimulator(1011, '8C:4F:00:A5:5C:86', 'IGS03MP-v3.1.5');
+        const device12 = new RemoteDeviceSimulator(1012, '8C:4F:00:A5:5C:87', 'IGS03MP-v3.1.5');
+        try {
+            await subServer.start();
+            const rcPort = subServer.address('RC').port;
+            const adminPort = subServer.address('ADMIN').port;
+            const watcher = await connectTcp(adminPort);
+            const quiet = await connectTcp(adminPort);
+            const muted = await connectTcp(adminPort);
+            const reply = await sendCommand(watcher, 'watch 8c4f00a55c86', 100);
+            assert(reply.includes('[WATCH] Watching mac 8c4f00a55c86'), 'watch confirms the entry to the issuing admin');
+            await sendCommand(quiet, 'mute lines', 100);
+            await sendCommand(muted, 'mute', 100);
+
+            let watcherOut = '';
+            let quietOut = '';
+            let mutedOut = '';
+            watcher.on('data', (d) => { watcherOut += d.toString(); });
+            quiet.on('data', (d) => { quietOut += d.toString(); });
+            muted.on('data', (d) => { mutedOut += d.toString(); });
+
+            await device11.connect(rcPort);
+            await device11.sendDeviceInfo();
+            await device12.connect(rcPort);
+            await device12.sendDeviceInfo();
+            await sleep(100);
+
+            assert(watcherOut.includes('FIRMWARE_VERSION=IGS03MP-v3.1.5') && watcherOut.includes('[MAC] 8C:4F:00:A5:5C:86'), 'Watching admin receives the watched device');
+            assert(!watcherOut.includes('8C:4F:00:A5:5C:87') && !watcherOut.includes('8C4F00A55C87'), 'Watching admin does not receive other devices');
+            assert(!quietOut.includes('[MGS LINE]') && quietOut.includes('[MAC] 8C:4F:00:A5:5C:87'), 'Muted category is suppressed, other categories still arrive');
+            assert(mutedOut === '', 'mute silences the whole stream');
+
+            const status = await sendCommand(muted, 'unmute', 100);
+            assert(status.includes('muted: no'), 'unmute restores the stream');
+            const cleared = await sendCommand(watcher, 'unwatch', 100);
+            assert(cleared.includes('Removed 1 watch entries') && cleared.includes('watching: all'), 'unwatch clears the watch list');
+
+            watcher.destroy();
+            quiet.destroy();
+            muted.destroy();
+        } catch (e) {
+            assert(false, 'Subscriptions', e.message);
+        } finally {
+            device11.disconnect();
+            device12.disconnect();
+            await subServer.stop();
+        }
+
+        // Test 27: Query results and errors go only to the issuing admin
+        console.log(`\n${colors.blue}--- Reply Routing Tests ---${colors.reset}`);
+        const routeServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig(),
+        });
+        const device13 = new RemoteDeviceSimulator(1013, '8C:4F:00:A5:5C:88', 'IGS03MP-v3.1.6');
+        try {
+            await routeServer.start();
+            const adminPort = routeServer.address('ADMIN').port;
+            await device13.connect(routeServer.address('RC').port);
+            await device13.sendDeviceInfo();
+            const issuer = await connectTcp(adminPort);
+            const bystander = await connectTcp(adminPort);
+            let bystanderOut = '';
+            bystander.on('data', (d) => { bystanderOut += d.toString(); });
+
+            const listing = await sendCommand(issuer, 'ls', 100);
+            assert(listing.includes('[SESS]') && !bystanderOut.includes('[SESS]'), 'ls output goes only to the issuing admin');
+
+            const error = await sendCommand(issuer, 'cmd 9999 SYS', 100);
+            const dropError = await sendCommand(issuer, 'drop 9999', 100);
+            assert(error.includes('[CMD ERROR] Device ID 9999 not found.') && dropError.includes('[DROP ERROR]'), 'Errors are reported to the issuing admin');
+            assert(!bystanderOut.includes('[CMD ERROR]') && !bystanderOut.includes('[DROP ERROR]'), 'Other admins do not see the errors');
+
+            const session = routeServer.findSession(device13.mac);
+            await sendCommand(issuer, 'cmdall SYS PING', 100);
+            await sendCommand(issuer, `drop ${session.id}`, 100);
+            assert(bystanderOut.includes(`[CMD] ${session.id}`) && bystanderOut.includes(`[DROP] ${session.id}`), 'cmdall and drop are broadcast as audit events');
+
+            issuer.destroy();
+            bystander.destroy();
+        } catch (e) {
+            assert(false, 'Reply routing', e.message);
+        } finally {
+            device13.disconnect();
+            await routeServer.stop();
+        }
+
+        // Test 28: JSON output mode and JSON requests
+        console.log(`\n${colors.blue}--- JSON Format Tests ---${colors.reset}`);
+        const jsonServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                COMMAND_RESPONSE: { QUIET_PERIOD: 200 },
+            }),
+        });
+        const device14 = new RemoteDeviceSimulator(1014, '8C:4F:00:A5:5C:89', 'IGS03MP-v3.1.7');
+        try {
+            await jsonServer.start();
+            const adminPort = jsonServer.address('ADMIN').port;
+            const admin = await connectTcp(adminPort);
+            const parse = (text) => text.split('\n').filter((line) => line.startsWith('{')).map((line) => JSON.parse(line));
+
+            const switched = parse(await sendCommand(admin, 'format json', 100));
+            assert(switched.some((msg) => msg.type === 'format' && msg.format === 'json'), 'format json switches the connection to JSON');
+
+            let output = '';
+            admin.on('data', (d) => { output += d.toString(); });
+            await device14.connect(jsonServer.address('RC').port);
+            await device14.sendDeviceInfo();
+            let messages = parse(output);
+            const identified = messages.find((msg) => msg.type === 'event' && msg.event === 'identified');
+            assert(messages.some((msg) => msg.type === 'event' && msg.event === 'connect'), 'Connection events are JSON objects');
+            assert(identified && identified.mac === device14.mac && identified.id > 0, 'Identified event carries id and mac');
+            assert(messages.some((msg) => msg.type === 'line' && msg.line === `FIRMWARE_VERSION=${device14.fwVersion}`), 'Device lines are JSON objects');
+
+            output = '';
+            admin.write(JSON.stringify({ requestId: 'r1', command: 'ls' }) + '\n');
+            await sleep(100);
+            const listing = parse(output).find((msg) => msg.type === 'sessions');
+            const listed = listing && listing.sessions[0];
+            assert(listing && listing.requestId === 'r1', 'ls reply carries the request ID');
+            assert(listed && listed.mac === device14.mac && typeof listed.uptimeSeconds === 'number' && listed.wifiMac === device14.mac, 'ls lists sessions with explicit fields');
+
+            output = '';
+            device14.socket.once('data', () => device14.socket.write('PONG\n'));
+            admin.write(JSON.stringify({ requestId: 7, command: `cmd ${listed.id} SYS PING` }) + '\n');
+            await sleep(400);
+            const result = parse(output).find((msg) => msg.type === 'result');
+            assert(result && result.requestId === 7 && result.cmd === 'SYS PING' && result.lines.includes('PONG'), 'Command result is JSON with the request ID');
+
+            output = '';
+            admin.write(JSON.stringify({ requestId: 8, command: 'cmd 9999 SYS' }) + '\n');
+            admin.write(JSON.stringify({ requestId: 9, command: 'bogus' }) + '\n');
+            admin.write('{not json\n');
+            await sleep(100);
+            messages = parse(output).filter((msg) => msg.type === 'error');
+            assert(messages.some((msg) => msg.requestId === 8 && msg.code === 'NOT_FOUND'), 'Errors carry a code and the request ID');
+            assert(messages.some((msg) => msg.requestId === 9 && msg.code === 'UNKNOWN_COMMAND'), 'Unknown JSON requests are answered');
+            assert(messages.some((msg) => msg.code === 'BAD_REQUEST'), 'Invalid JSON is reported');
+
+            // Changes are broadcast as untagged logs, which a muted admin does not get
+            await sendCommand(admin, 'mute', 100);
+            output = '';
+            admin.write(JSON.stringify({ requestId: 10, command: 'capture on' }) + '\n');
+            admin.write(JSON.stringify({ requestId: 11, command: `drop ${listed.id}` }) + '\n');
+            await sleep(100);
+            messages = parse(output).filter((msg) => msg.type === 'ok');
+            assert(messages.some((msg) => msg.requestId === 10 && msg.capture === true), 'Successful capture request is confirmed with the request ID');
+            assert(messages.some((msg) => msg.requestId === 11 && msg.ids.includes(listed.id)), 'Successful drop request is confirmed with the request ID');
+            await sendCommand(admin, 'capture off', 100);
+
+            const back = await sendCommand(admin, 'format text', 100);
+            assert(back.includes('[FORMAT] text'), 'format text switches back to text');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'JSON format', e.message);
+        } finally {
+            device14.disconnect();
+            await jsonServer.stop();
+        }
+
+        // Test 29: Duplicate MAC policy and reconnect tracking
+        console.log(`\n${colors.blue}--- Duplicate MAC Tests ---${colors.reset}`);
+        const dupServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig(),
+        });
+        const dupMac = '8C:4F:00:A5:5C:90';
+        const dupDevices = [];
+        const connectDup = async () => {
+            const device = new RemoteDeviceSimulator(1015, dupMac, 'IGS03MP-v3.1.8');
+            dupDevices.push(device);
+            await device.connect(dupServer.address('RC').port);
+            device.socket.write(`${dupMac}\n`);
+            await sleep(100);
+            return device;
+        };
+        try {
+            await dupServer.start();
+            const admin = await connectTcp(dupServer.address('ADMIN').port);
+            let adminOut = '';
+            admin.on('data', (d) => { adminOut += d.toString(); });
+            const macSessions = () => [...dupServer.sessions.values()].filter((session) => session.mac === dupMac);
+
+            const first = await connectDup();
+            const firstId = macSessions()[0].id;
+            let firstClosed = false;
+            first.socket.on('close', () => { firstClosed = true; });
+            first.socket.resume();
+            await connectDup();
+            await sleep(100);
+            let sessions = macSessions();
+            assert(dupServer.config.DUPLICATE_MAC.POLICY === 'replace' && sessions.length === 1 && sessions[0].id !== firstId, 'replace policy closes the old session');
+            assert(firstClosed, 'Replaced device connection is closed');
+            assert(adminOut.includes(`[DUP]`) && adminOut.includes(`already connected as ID:${firstId}`), '[DUP] event is sent to admins');
+            const described = dupServer.describeSession(sessions[0]);
+            assert(described.reconnects === 1 && described.lastDisconnect && described.lastDisconnect.reason === `replaced by ID ${sessions[0].id}`, 'Reconnect counter and last disconnect reason are tracked');
+
+            dupServer.config.DUPLICATE_MAC.POLICY = 'reject';
+            const keptId = sessions[0].id;
+            await connectDup();
+            await sleep(100);
+            sessions = macSessions();
+            assert(sessions.length === 1 && sessions[0].id === keptId, 'reject policy refuses the new connection');
+
+            dupServer.config.DUPLICATE_MAC.POLICY = 'keep';
+            await connectDup();
+            sessions = macSessions();
+            assert(sessions.length === 2 && sessions.every((session) => session.duplicate), 'keep policy keeps both sessions flagged');
+            assert(dupServer.findSession(dupMac).id === Math.max(...sessions.map((session) => session.id)), 'MAC lookups use the newest session');
+            const listing = await sendCommand(admin, 'ls', 100);
+            assert(listing.includes('[DUP]'), 'ls flags duplicate sessions');
+
+            dupServer.drop(String(sessions[1].id));
+            await sleep(100);
+            assert(macSessions().length === 1 && !macSessions()[0].duplicate, 'Flag is cleared when the duplicate goes away');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Duplicate MAC', e.message);
+        } finally {
+            dupDevices.forEach((device) => device.disconnect());
+            await dupServer.stop();
+        }
+
+        // Test 30: Device tags and @group targets
+        console.log(`\n${colors.blue}--- Tag Tests ---${colors.reset}`);
+        const tagsFile = path.join(os.tmpdir(), `tags-test-${process.pid}.json`);
+        const tagConfig = embeddedConfig({
+            TAGS: { FILE: tagsFile },
+            COMMAND_RESPONSE: { QUIET_PERIOD: 200 },
+        });
+        let tagServer = createRemoteAdminServer({ logger: quietLogger, config: tagConfig });
+        const rackB = [
+            new RemoteDeviceSimulator(1016, '8C:4F:00:A5:5C:91', 'IGS03MP-v3.1.6'),
+            new RemoteDeviceSimulator(1017, '8C:4F:00:A5:5C:92', 'IGS03MP-v3.1.6'),
+        ];
+        const other = new RemoteDeviceSimulator(1018, '8C:4F:00:A5:5C:93', 'IGS03MP-v3.1.6');
+        try {
+            await tagServer.start();
+            for (const device of [...rackB, other]) {
+                await device.connect(tagServer.address('RC').port);
+                device.socket.write(`${device.mac}\n`);
+            }
+            await sleep(100);
+            let admin = await connectTcp(tagServer.address('ADMIN').port);
+            const firstId = tagServer.findSession(rackB[0].mac).id;
+
+            const tagged = await sendCommand(admin, `tag ${firstId} rackB`, 100);
+            await sendCommand(admin, `tag ${rackB[1].mac} @rackB`, 100);
+            await sendCommand(admin, 'tag 8C:4F:00:A5:5C:99 rackB', 100);
+            assert(tagged.includes(`[TAG] ${rackB[0].mac} added to @rackB`), 'tag adds a device by session ID');
+            const listing = await sendCommand(admin, 'tags', 100);
+            assert(listing.includes('@rackB:') && listing.includes('8C4F00A55C99 (offline)'), 'tags lists groups with offline members');
+            assert(tagServer.describeSession(tagServer.findSession(rackB[1].mac)).tags.includes('rackB'), 'Sessions report their tags');
+
+            const ls = await sendCommand(admin, 'ls @rackB', 100);
+            assert((ls.match(/\[SESS\]/g) || []).length === 2, 'ls @group lists only the group members');
+
+            let received = [];
+            [...rackB, other].forEach((device) => device.socket.on('data', (d) => { received.push(`${device.mac} ${d}`); }));
+            await sleep(50);
+            received = []; // Drop the SYS / SYS DBG sent at identification
+            const cmdReply = await sendCommand(admin, 'cmd @rackB SYS DBG', 400);
+            assert(rackB.every((device) => received.some((r) => r.startsWith(device.mac) && r.includes('SYS DBG'))) && !received.some((r) => r.startsWith(other.mac)), 'cmd @group reaches only the group');
+            assert(cmdReply.includes('1 of 3 devices offline'), 'cmd @group reports offline members');
+
+            const unknown = await sendCommand(admin, 'cmd @nope SYS', 100);
+            assert(unknown.includes('[CMD ERROR] Unknown group @nope'), 'Unknown groups are reported');
+
+            await sendCommand(admin, 'format json', 100);
+            const untagged = (await sendCommand(admin, JSON.stringify({ requestId: 'u1', command: 'untag 8C:4F:00:A5:5C:99' }), 100))
+                .split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l));
+            assert(untagged.some((msg) => msg.type === 'ok' && msg.requestId === 'u1' && msg.removed.includes('rackB')), 'JSON untag request is confirmed with the request ID');
+            admin.destroy();
+            await tagServer.stop();
+            const saved = JSON.parse(fs.readFileSync(tagsFile, 'utf8'));
+            assert(saved.rackB && saved.rackB.length === 2, 'Groups are saved to the tags file');
+
+            tagServer = createRemoteAdminServer({ logger: quietLogger, config: tagConfig });
+            await tagServer.start();
+            for (const device of [...rackB, other]) {
+                await device.connect(tagServer.address('RC').port);
+                device.socket.write(`${device.mac}\n`);
+            }
+            await sleep(100);
+            admin = await connectTcp(tagServer.address('ADMIN').port);
+            await sendCommand(admin, 'drop @rackB', 200);
+            assert(!tagServer.findSession(rackB[0].mac) && !tagServer.findSession(rackB[1].mac) && tagServer.findSession(other.mac), 'Groups survive a restart and drop @group drops members');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Tags', e.message);
+        } finally {
+            [...rackB, other].forEach((device) => device.disconnect());
+            await tagServer.stop();
+            fs.rmSync(tagsFile, { force: true });
+        }
+
+        // Test 31: Scheduled commands
+        console.log(`\n${colors.blue}--- Scheduler Tests ---${colors.reset}`);
+        try {
+            const cron = parseCron('*/15 8-9 * * 1-5');
+            const next = nextCronTime(cron, new Date(2026, 0, 9, 9, 50)); // Friday 09:50
+            assert(next.getDay() === 1 && next.getHours() === 8 && next.getMinutes() === 0, 'Cron finds the next matching minute');
+            assert(nextCronTime(parseCron('30 12 * * *'), new Date(2026, 0, 9, 12, 29, 40)).getMinutes() === 30, 'Cron matches later in the same hour');
+            let threw = false;
+            try { parseCron('61 * * * *'); } catch (e) { threw = e.message.includes('minute'); }
+            assert(threw, 'Invalid cron fields are rejected');
+            const parsed = parseSchedule('every 10m cmdall SYS');
+            assert(parsed.kind === 'every' && parsed.spec === '10m' && parsed.command === 'cmdall SYS', 'every schedules are parsed');
+            const at = parseSchedule('at +90m cmd 1001 SYS', new Date(2026, 0, 9, 12, 0));
+            assert(at.kind === 'at' && new Date(at.spec).getHours() === 13 && new Date(at.spec).getMinutes() === 30, 'Relative at schedules are parsed');
+            const clockErrors = ['99:99', '24:00', '12:60', '12:00:60'].map((spec) => {
+                try {
+                    parseSchedule(`at ${spec} ls`, new Date(2026, 0, 9, 12, 0));
+                    return null;
+                } catch (e) {
+                    return e.message;
+                }
+            });
+            assert(clockErrors.every((message) => message && message.startsWith('Invalid time')), 'Out-of-range clock times are rejected');
+            assert(new Date(parseSchedule('at 23:59:59 ls', new Date(2026, 0, 9, 12, 0)).spec).getHours() === 23, 'Last second of the day is a valid clock time');
+        } catch (e) {
+            assert(false, 'Schedule parsing', e.message);
+        }
+
+        const scheduleFile = path.join(os.tmpdir(), `schedules-test-${process.pid}.json`);
+        const scheduleConfig = embeddedConfig({
+            SCHEDULER: { FILE: scheduleFile },
+            COMMAND_RESPONSE: { QUIET_PERIOD: 100 },
+        });
+        let scheduleServer = createRemoteAdminServer({ logger: quietLogger, config: scheduleConfig });
+        const device19 = new RemoteDeviceSimulator(1019, '8C:4F:00:A5:5C:94', 'IGS03MP-v3.1.6');
+        try {
+            await scheduleServer.start();
+            await device19.connect(scheduleServer.address('RC').port);
+            device19.socket.write(`${device19.mac}\n`);
+            device19.socket.on('data', (d) => { if (d.toString().includes('PING')) device19.socket.write('PONG\n'); });
+            await sleep(100);
+            let admin = await connectTcp(scheduleServer.address('ADMIN').port);
+            let adminOut = '';
+            admin.on('data', (d) => { adminOut += d.toString(); });
+
+            admin.write(`schedule add every 1s cmd ${device19.mac} SYS PING\n`);
+            admin.write('schedule add cron 0 4 * * * cmdall SYS\n');
+            admin.write('schedule add every 5x cmdall SYS\n');
+            admin.write('schedule add every 1m schedule rm 1\n');
+            await sleep(1400);
+            assert(adminOut.includes('[SCHEDULE] #1 added: every 1s') && adminOut.includes('[SCHEDULE] #2 added: cron 0 4 * * *'), 'schedule add announces new jobs');
+            assert(adminOut.includes('Invalid interval 5x') && adminOut.includes('cannot manage the schedule'), 'Invalid schedules are refused');
+            assert(adminOut.includes(`[SCHEDULE] #1 run 1: cmd ${device19.mac} SYS PING`), 'Each execution is logged');
+            assert(/\[SCHEDULE\] #1 \[CMD RESULT\]\[\d+\]\[[^\]]+\] SYS PING \(1 lines\)\n  PONG/.test(adminOut), 'Per-target results of a run are logged');
+
+            await sendCommand(admin, 'schedule rm 1', 100);
+            const listing = await sendCommand(admin, 'schedule ls', 100);
+            assert(listing.includes('1 jobs') && listing.includes('#2 cron 0 4 * * * "cmdall SYS"'), 'schedule ls lists remaining jobs');
+            admin.destroy();
+            await scheduleServer.stop();
+
+            scheduleServer = createRemoteAdminServer({ logger: quietLogger, config: scheduleConfig });
+            await scheduleServer.start();
+            admin = await connectTcp(scheduleServer.address('ADMIN').port);
+            const reloaded = await sendCommand(admin, 'schedule ls', 100);
+            assert(reloaded.includes('#2 cron 0 4 * * *') && !reloaded.includes('#1 '), 'Jobs survive a restart');
+
+            await sendCommand(admin, 'format json', 100);
+            const jsonReplies = async (request) => (await sendCommand(admin, JSON.stringify(request), 100))
+                .split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l));
+            const added = (await jsonReplies({ requestId: 's1', command: 'schedule add cron 0 5 * * * cmdall SYS' }))
+                .find((msg) => msg.type === 'ok' && msg.requestId === 's1');
+            assert(added && added.job.id === 3 && added.job.spec === '0 5 * * *', 'JSON schedule add returns the new job ID with the request ID');
+            const removed = (await jsonReplies({ requestId: 's2', command: `schedule rm ${added.job.id}` }))
+                .find((msg) => msg.type === 'ok' && msg.requestId === 's2');
+            assert(removed && removed.job.id === 3, 'JSON schedule rm is confirmed with the request ID');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Scheduler', e.message);
+        } finally {
+            device19.disconnect();
+            await scheduleServer.stop();
+            fs.rmSync(scheduleFile, { force: true });
+        }
+
+        // Test 32: Commands queued for offline devices
+        console.log(`\n${colors.blue}--- Command Queue Tests ---${colors.reset}`);
+        try {
+            const shortQueue = createCommandQueue({ expiry: 20, maxPerDevice: 0 });
+            shortQueue.add('8C:4F:00:A5:5C:96', 'SYS');
+            await sleep(40);
+            shortQueue.add('8c4f00a55c96', 'SYS DBG');
+            const { due, expired } = shortQueue.take('8C-4F-00-A5-5C-96');
+            assert(due.length === 1 && due[0].cmd === 'SYS DBG' && expired.length === 1 && expired[0].cmd === 'SYS', 'Expired commands are separated from due ones');
+        } catch (e) {
+            assert(false, 'Queue expiry', e.message);
+        }
+
+        const queueServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                COMMAND_RESPONSE: { QUIET_PERIOD: 100 },
+                QUEUE: { MAX_PER_DEVICE: 2 },
+            }),
+        });
+        const device20 = new RemoteDeviceSimulator(1020, '8C:4F:00:A5:5C:95', 'IGS03MP-v3.1.6');
+        try {
+            await queueServer.start();
+            const admin = await connectTcp(queueServer.address('ADMIN').port);
+            let adminOut = '';
+            admin.on('data', (d) => { adminOut += d.toString(); });
+
+            admin.write(`cmd --queue ${device20.mac} SYS PING\n`);
+            admin.write(`queue ${device20.mac} SYS DBG\n`);
+            admin.write(`queue ${device20.mac} SYS DUMP\n`);
+            admin.write('queue 1001 SYS\n');
+            await sleep(100);
+            assert(adminOut.includes('[QUEUE] #1 queued for 8C4F00A55C95: SYS PING') && adminOut.includes('[QUEUE] #2 queued'), 'Commands for offline devices are queued');
+            assert(adminOut.includes('[CMD ERROR] Queue for 8C4F00A55C95 is full'), 'Queue length is limited per device');
+            assert(adminOut.includes('can only be queued by MAC or @group'), 'Session IDs cannot be queued');
+            const listing = await sendCommand(admin, 'queue ls', 100);
+            assert(listing.includes('[QUEUE] 2 commands') && listing.includes('#1 8C4F00A55C95 "SYS PING"'), 'queue ls lists queued commands');
+
+            const received = [];
+            await device20.connect(queueServer.address('RC').port);
+            device20.socket.on('data', (d) => {
+                received.push(d.toString());
+                if (d.toString().includes('PING')) device20.socket.write('PONG\n');
+            });
+            device20.socket.write(`${device20.mac}\n`);
+            await sleep(600);
+            const sent = received.join('');
+            assert(sent.indexOf('SYS DBG \n') < sent.indexOf('SYS PING') && sent.indexOf('SYS PING') < sent.lastIndexOf('SYS DBG'), 'Queued commands follow the SYS/SYS DBG handshake in order');
+            assert(adminOut.includes('[QUEUE] #1 delivering to ID:') && /\[QUEUE\] #1 \[CMD RESULT\]\[\d+\]\[[^\]]+\] SYS PING \(1 lines\)\n  PONG/.test(adminOut), 'Delivery and results are logged');
+            assert((await sendCommand(admin, 'queue ls', 100)).includes('[QUEUE] 0 commands'), 'Delivered commands leave the queue');
+
+            device20.disconnect();
+            await sleep(100);
+            await sendCommand(admin, `queue ${device20.mac} SYS`, 50);
+            const cleared = await sendCommand(admin, 'queue clear', 100);
+            assert(cleared.includes('[QUEUE] cleared 1 commands'), 'queue clear removes queued commands');
+
+            await sendCommand(admin, 'format json', 100);
+            admin.write(JSON.stringify({ requestId: 'q1', command: `queue ${device20.mac} SYS` }) + '\n');
+            admin.write(JSON.stringify({ requestId: 'q2', command: 'queue clear' }) + '\n');
+            await sleep(100);
+            const queueReplies = adminOut.split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l)).filter((msg) => msg.type === 'ok');
+            assert(queueReplies.some((msg) => msg.requestId === 'q1' && msg.queued.mac === '8C4F00A55C95'), 'JSON queue request is confirmed with the queued entry');
+            assert(queueReplies.some((msg) => msg.requestId === 'q2' && msg.removed === 1), 'JSON queue clear is confirmed with the request ID');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Command queue', e.message);
+        } finally {
+            device20.disconnect();
+            await queueServer.stop();
+        }
+
+        // Test 33: Staged firmware rollout
+        console.log(`\n${colors.blue}--- Firmware Rollout Tests ---${colors.reset}`);
+        const rolloutServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                ROLLOUT: { COMMAND: 'SYS OTA {version} {mac}', TIMEOUT: 2000, MAX_FAILURES: 0 },
+            }),
+        });
+        // Devices that reboot on the OTA command and come back with upgradeTo
+        const fleet = [
+            { device: new RemoteDeviceSimulator(1021, '8C:4F:00:A5:5C:97', 'v1'), upgradeTo: 'v2' },
+            { device: new RemoteDeviceSimulator(1022, '8C:4F:00:A5:5C:98', 'v1'), upgradeTo: 'v2' },
+            { device: new RemoteDeviceSimulator(1023, '8C:4F:00:A5:5C:99', 'v1'), upgradeTo: 'v1' },
+        ];
+        const otaCommands = [];
+        const boot = async (member, fw) => {
+            const { device } = member;
+            await device.connect(rolloutServer.address('RC').port);
+            device.socket.on('data', (d) => {
+                if (!d.toString().includes('SYS OTA')) return;
+                otaCommands.push(d.toString().trim());
+                device.disconnect();
+                setTimeout(() => boot(member, member.upgradeTo), 50);
+            });
+            device.socket.write(`${device.mac}\nFIRMWARE_VERSION=${fw}\n`);
+        };
+        try {
+            await rolloutServer.start();
+            for (const member of fleet) await boot(member, 'v1');
+            await sleep(100);
+            const admin = await connectTcp(rolloutServer.address('ADMIN').port);
+            let adminOut = '';
+            admin.on('data', (d) => { adminOut += d.toString(); });
+
+            assert((await sendCommand(admin, 'rollout pause', 50)).includes('No running rollout'), 'pause without a rollout is refused');
+            admin.write('rollout start v2 wave 2\n');
+            await sleep(100);
+            assert(adminOut.includes('[ROLLOUT] #1 starting v2 on 3 devices, 2 per wave') && adminOut.includes('[ROLLOUT] Wave 1: 8C4F00A55C97, 8C4F00A55C98'), 'Rollout starts with the first wave');
+            assert(otaCommands.slice(0, 2).sort().join() === 'SYS OTA v2 8C4F00A55C97,SYS OTA v2 8C4F00A55C98', 'Upgrade command is built from the template, first wave first');
+            await sleep(400);
+            assert(adminOut.includes('[ROLLOUT] 8C4F00A55C97 upgraded to v2') && adminOut.includes('[ROLLOUT] Wave 2: 8C4F00A55C99'), 'Next wave starts once devices report the new version');
+            assert(adminOut.includes('[ROLLOUT] 8C4F00A55C99 failed: came back with v1') && adminOut.includes('[ROLLOUT] Halted: 1 devices failed (max 0)'), 'Rollout halts when failures exceed the threshold');
+
+            const status = await sendCommand(admin, 'rollout status', 100);
+            assert(status.includes('v2 halted, wave 2 (2 per wave): 2 done, 1 failed, 0 upgrading, 0 pending'), 'rollout status summarizes progress');
+            assert((await sendCommand(admin, 'rollout start v3 @nope', 50)).includes('Unknown group @nope'), 'Unknown rollout groups are refused');
+            await sendCommand(admin, 'format json', 50);
+            const aborted = (await sendCommand(admin, JSON.stringify({ requestId: 'r1', command: 'rollout abort' }), 50))
+                .split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l))
+                .find((msg) => msg.type === 'ok' && msg.requestId === 'r1');
+            assert(aborted && aborted.rollout.id === 1 && aborted.rollout.state === 'aborted', 'JSON rollout request is confirmed with the rollout and request ID');
+            await sendCommand(admin, 'format text', 50);
+            assert((await sendCommand(admin, 'rollout status', 50)).includes('#1 v2 aborted'), 'rollout abort ends the rollout');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Firmware rollout', e.message);
+        } finally {
+            fleet.forEach(({ device }) => device.disconnect());
+            await rolloutServer.stop();
+        }
+
+        try {
+            // Devices stay silent, so upgrading ones only end by timing out
+            const fakeServer = Object.assign(new EventEmitter(), {
+                findSession: (mac) => (mac.endsWith('9A') ? null : { id: 1, identified: true }),
+                sendCommand: () => new Promise(() => {}),
+            });
+            const rolloutLog = [];
+            const rollout = createRollout(fakeServer, { command: 'SYS OTA {version}', timeout: 300, maxFailures: 0, log: (m) => rolloutLog.push(m) });
+            rollout.start({ version: 'v2', macs: ['8C:4F:00:A5:5C:9B', '8C:4F:00:A5:5C:9A'], waveSize: 2 });
+            assert(rollout.status().state === 'halted', 'Offline device halts the rollout with another still upgrading');
+            await sleep(150);
+            const second = rollout.start({ version: 'v3', macs: ['8C:4F:00:A5:5C:9C'], waveSize: 1 });
+            assert(second.id === 2, 'Each rollout started gets the next ID');
+            await sleep(250);
+            const replaced = rollout.status();
+            assert(!rolloutLog.includes('8C4F00A55C9B failed: timeout') && replaced.state === 'running' && replaced.counts.upgrading === 1, 'Timers of a replaced rollout are cleared');
+            rollout.stop();
+        } catch (e) {
+            assert(false, 'Rollout replacement', e.message);
+        }
+
+        // Test 34: Prometheus metrics endpoint
+        console.log(`\n${colors.blue}--- Metrics Tests ---${colors.reset}`);
+        const metricsServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                PORTS: { HTTP: 0 },
+                LISTENERS: { HTTP: true },
+                HTTP: { METRICS: true, DASHBOARD: false },
+                COMMAND_RESPONSE: { QUIET_PERIOD: 100 },
+                TIMEOUTS: { LOGIN_VALIDATION: 300 },
+            }),
+        });
+        const device24 = new RemoteDeviceSimulator(1024, '8C:4F:00:A5:5C:9A', 'IGS03MP-v3.2.0');
+        const rejected = new RemoteDeviceSimulator(1025, 'not-a-mac', 'none');
+        try {
+            await metricsServer.start();
+            const scrape = async () => {
+                const response = await fetch(`http://localhost:${metricsServer.address('HTTP').port}/metrics`);
+                return { type: response.headers.get('content-type'), text: await response.text() };
+            };
+            await device24.connect(metricsServer.address('RC').port);
+            await device24.sendDeviceInfo();
+            await rejected.connect(metricsServer.address('RC').port);
+            rejected.socket.on('error', () => {});
+            rejected.socket.resume();
+            const admin = await connectTcp(metricsServer.address('ADMIN').port);
+            await sendCommand(admin, `cmd ${device24.mac} SYS PING`, 50);
+            await sendCommand(admin, 'cmd 9999 SYS', 50);
+
+            let { type, text } = await scrape();
+            assert(type.startsWith('text/plain') && text.includes('# TYPE remote_admin_sessions gauge'), '/metrics serves the text exposition format');
+            assert(text.includes('remote_admin_sessions{transport="tcp"} 2') && text.includes('remote_admin_sessions_identified{transport="tcp"} 1'), 'Session gauges per transport');
+            assert(text.includes('remote_admin_sessions_by_firmware{version="IGS03MP-v3.2.0"} 1'), 'Firmware version breakdown');
+            assert(text.includes('remote_admin_admin_connections{transport="tcp"} 1') && text.includes('remote_admin_commands_sent_total 1'), 'Admin connections and commands sent are counted');
+            assert(text.includes('remote_admin_command_errors_total{code="NOT_FOUND"} 1'), 'Command errors are counted by code');
+            const received = Number((text.match(/remote_admin_device_bytes_received_total\{transport="tcp"\} (\d+)/) || [])[1]);
+            assert(received > 50, 'Bytes received from devices are counted');
+
+            device24.disconnect();
+            await sleep(500); // Login validation timeout rejects the silent device
+            ({ text } = await scrape());
+            assert(text.includes('remote_admin_session_connects_total{transport="tcp"} 2') && text.includes('remote_admin_session_closes_total{transport="tcp"} 2'), 'Connects and closes are counted');
+            assert(text.includes('remote_admin_session_rejections_total{transport="tcp"} 1'), 'Rejections are counted');
+            assert(Number((text.match(/remote_admin_device_bytes_received_total\{transport="tcp"\} (\d+)/) || [])[1]) === received, 'Byte counters keep closed sessions');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Metrics', e.message);
+        } finally {
+            device24.disconnect();
+            rejected.disconnect();
+            await metricsServer.stop();
+        }
+
+        // Test 35: Heartbeat and idle timeouts
+        console.log(`\n${colors.blue}--- Heartbeat Tests ---${colors.reset}`);
+        const heartbeatServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                HEARTBEAT: { INTERVAL: 300, COMMAND: 'SYS PING', STALE_AFTER: 1, DROP_AFTER: 3 },
+            }),
+        });
+        const silent = new RemoteDeviceSimulator(1026, '8C:4F:00:A5:5C:9B', 'IGS03MP-v3.2.0');
+        const alive = new RemoteDeviceSimulator(1027, '8C:4F:00:A5:5C:9C', 'IGS03MP-v3.2.0');
+        try {
+            await heartbeatServer.start();
+            await silent.connect(heartbeatServer.address('RC').port);
+            await silent.sendDeviceInfo();
+            await alive.connect(heartbeatServer.address('RC').port);
+            await alive.sendDeviceInfo();
+            let probes = 0;
+            silent.socket.on('data', (data) => { probes += (data.toString().match(/^SYS PING$/gm) || []).length; });
+            alive.socket.on('data', (data) => {
+                if (/^SYS PING$/m.test(data.toString())) alive.socket.write('PONG\n');
+            });
+            const admin = await connectTcp(heartbeatServer.address('ADMIN').port);
+            let events = '';
+            admin.on('data', (data) => { events += data.toString(); });
+
+            for (let waited = 0; waited < 2000 && !events.includes('[STALE]'); waited += 50) await sleep(50);
+            assert(probes >= 1, 'Quiet devices are sent the heartbeat probe');
+            assert(/\[STALE\] ID:\d+ 8C:4F:00:A5:5C:9B \S+ no reply to 1 heartbeats/.test(events), 'Unanswered probe marks the session stale');
+            const listing = await sendCommand(admin, 'ls 8C4F00A55C9', 50);
+            assert(/8C4F00A55C9B\].* seen \d+s ago \[STALE\]/.test(listing), 'ls shows last seen and the stale flag');
+            assert(/8C4F00A55C9C\].* seen 0s ago\n/.test(listing.replace(/\r/g, '')), 'Answering device is not stale');
+
+            await sleep(800);
+            const closed = heartbeatServer.findSession(silent.mac);
+            assert(!closed && /\[TIMEOUT\] ID:\d+ 8C:4F:00:A5:5C:9B \S+ heartbeat timeout \(3 missed\)/.test(events), 'Device is dropped after the missed heartbeat limit');
+            assert(heartbeatServer.findSession(alive.mac) && !events.includes('5C:9C \S+ no reply'), 'Answering device stays connected');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Heartbeat', e.message);
+        } finally {
+            silent.disconnect();
+            alive.disconnect();
+            await heartbeatServer.stop();
+        }
+
+        const idleServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                TIMEOUTS: { DEVICE_IDLE: 300, ADMIN_IDLE: 600 },
+            }),
+        });
+        const idle = new RemoteDeviceSimulator(1028, '8C:4F:00:A5:5C:9D', 'IGS03MP-v3.2.0');
+        try {
+            await idleServer.start();
+            const admin = await connectTcp(idleServer.address('ADMIN').port);
+            let events = '';
+            let adminClosed = false;
+            admin.on('data', (data) => { events += data.toString(); });
+            admin.on('close', () => { adminClosed = true; });
+            await idle.connect(idleServer.address('RC').port);
+            await idle.sendDeviceInfo();
+            idle.socket.resume();
+
+            await sleep(600);
+            assert(!idleServer.findSession(idle.mac) && /\[TIMEOUT\] ID:\d+ 8C:4F:00:A5:5C:9D \S+ idle timeout/.test(events), 'Device idle timeout closes the connection');
+            assert(!adminClosed, 'Admin idle timeout is separate from the device one');
+            await sleep(900);
+            assert(adminClosed && events.includes('Admin Idle Timeout'), 'Admin idle timeout closes the connection');
+        } catch (e) {
+            assert(false, 'Idle timeouts', e.message);
+        } finally {
+            idle.disconnect();
+            await idleServer.stop();
+        }
+
+        // Test 36: Connection flood protection
+        console.log(`\n${colors.blue}--- Flood Protection Tests ---${colors.reset}`);
+        const floodServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                LIMITS: { MAX_SESSIONS: 3, MAX_UNIDENTIFIED: 2, MAX_LINE_RATE: 10 },
+                FLOOD: { CONNECTIONS_PER_IP: 4, WINDOW: 5000, BAN_TIME: 60000, EXEMPT: [], SUMMARY_INTERVAL: 1000 },
+            }),
+        });
+        const raw = [];
+        const flooder = new RemoteDeviceSimulator(1029, '8C:4F:00:A5:5C:9E', 'IGS03MP-v3.2.0');
+        try {
+            await floodServer.start();
+            const rcPort = floodServer.address('RC').port;
+            const admin = await connectTcp(floodServer.address('ADMIN').port);
+            let events = '';
+            admin.on('data', (data) => { events += data.toString(); });
+            const open = async () => {
+                const socket = await connectTcp(rcPort);
+                socket.on('error', () => {});
+                socket.resume();
+                raw.push(socket);
+                return socket;
+            };
+
+            for (let i = 0; i < 5; i++) await open();
+            await sleep(100);
+            assert(floodServer.sessions.size === 2 && (events.match(/\[CONN\]/g) || []).length === 2, 'Unidentified sessions are capped');
+            assert(/\[FLOOD\] Banned 127\.0\.0\.1 for 60s: 5 connections in 5s/.test(events), 'Connection burst from one address is banned');
+            assert(!events.includes('[DEV NOT VALID]'), 'Refused connections are not logged one by one');
+            for (let waited = 0; waited < 1500 && !events.includes('Refused'); waited += 50) await sleep(50);
+            assert(/\[FLOOD\] Refused 3 connections in the last 1s: 2 unidentified limit \(127\.0\.0\.1\), 1 banned \(127\.0\.0\.1\)/.test(events), 'Refusals are summarized');
+
+            const bans = await sendCommand(admin, 'bans', 100);
+            assert(/1 banned addresses\n\s+127\.0\.0\.1 until \S+ \(5 connections in 5s\)/.test(bans), 'bans lists the banned address');
+            const cleared = await sendCommand(admin, 'bans clear 127.0.0.1', 100);
+            assert(cleared.includes('[FLOOD] lifted 1 bans for 127.0.0.1'), 'bans clear lifts a ban');
+            const scripted = await connectTcp(floodServer.address('ADMIN').port);
+            await sendCommand(scripted, 'format json', 50);
+            const unbanned = (await sendCommand(scripted, JSON.stringify({ requestId: 'b1', command: 'bans clear' }), 100))
+                .split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l))
+                .find((msg) => msg.type === 'ok' && msg.requestId === 'b1');
+            assert(unbanned && unbanned.lifted === 0, 'JSON bans clear is confirmed with the request ID');
+            scripted.destroy();
+
+            raw.forEach((socket) => socket.destroy());
+            await sleep(100);
+            await flooder.connect(rcPort);
+            await flooder.sendDeviceInfo();
+            await open();
+            await open();
+            await sleep(100);
+            events = '';
+            await open();
+            await sleep(100);
+            assert(floodServer.sessions.size === 3 && !events.includes('[CONN]'), 'Total sessions are capped');
+
+            await sleep(1000);
+            events = '';
+            flooder.socket.write(Array.from({ length: 30 }, (_, i) => `SCAN ${i}`).join('\n') + '\n');
+            for (let waited = 0; waited < 1500 && !events.includes('Dropped'); waited += 50) await sleep(50);
+            assert((events.match(/\[MGS LINE\]\[\d+\]\[8C4F00A55C9E\] SCAN/g) || []).length === 10, 'Lines over the rate limit are dropped');
+            assert(/\[FLOOD\] Dropped 20 lines from ID:\d+ 8C:4F:00:A5:5C:9E \S+ \(over 10 lines\/s\)/.test(events), 'Dropped lines are summarized');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Flood protection', e.message);
+        } finally {
+            raw.forEach((socket) => socket.destroy());
+            flooder.disconnect();
+            await floodServer.stop();
+        }
+
+        // Test 37: TLS certificate reload and graceful shutdown
+        console.log(`\n${colors.blue}--- Reload and Shutdown Tests ---${colors.reset}`);
+        const certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-tls-'));
+        const makeCert = (cn, days) => execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', String(days), '-subj', `/CN=${cn}`,
+            '-keyout', path.join(certDir, 'server.key'), '-out', path.join(certDir, 'server.crt'),
+        ], { stdio: 'ignore' });
+        const peerName = (socket) => socket.getPeerCertificate().subject.CN;
+        const lifecycleServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                PORTS: { RC_TLS: 0 },
+                LISTENERS: { RC_TLS: true },
+                TLS: { KEY_PATH: path.join(certDir, 'server.key'), CERT_PATH: path.join(certDir, 'server.crt') },
+                SHUTDOWN: { DEADLINE: 800, COMMAND: 'SYS RECONNECT' },
+            }),
+        });
+        const sockets = [];
+        try {
+            makeCert('first', 365);
+            await lifecycleServer.start();
+            const tlsPort = lifecycleServer.address('RC_TLS').port;
+            const admin = await connectTcp(lifecycleServer.address('ADMIN').port);
+            let events = '';
+            admin.on('data', (data) => { events += data.toString(); });
+            const before = await connectTls(tlsPort);
+            sockets.push(before.resume());
+            assert(peerName(before) === 'first', 'TLS listener serves the configured certificate');
+
+            makeCert('second', 10);
+            const reloaded = await sendCommand(admin, 'reload', 200);
+            assert(reloaded.includes('[TLS] Reloaded key and certificate for RC_TLS'), 'reload applies the new key and certificate');
+            assert(/\[TLS\] Certificate \S+server\.crt expires in 9 days/.test(reloaded), 'Admins are warned about a certificate near expiry');
+            const after = await connectTls(tlsPort);
+            sockets.push(after.resume());
+            assert(peerName(after) === 'second' && !before.destroyed && before.writable, 'New connections get the new certificate, open ones stay');
+            const scripted = await connectTcp(lifecycleServer.address('ADMIN').port);
+            await sendCommand(scripted, 'format json', 50);
+            const confirmed = (await sendCommand(scripted, JSON.stringify({ requestId: 't1', command: 'reload' }), 200))
+                .split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l))
+                .find((msg) => msg.type === 'ok' && msg.requestId === 't1');
+            assert(confirmed && confirmed.listeners.join() === 'RC_TLS', 'JSON reload is confirmed with the request ID');
+            scripted.destroy();
+
+            fs.writeFileSync(path.join(certDir, 'server.crt'), 'not a certificate');
+            const failed = await sendCommand(admin, 'reload', 200);
+            assert(failed.includes('[TLS] Reload failed:'), 'An invalid certificate is reported');
+            const still = await connectTls(tlsPort);
+            sockets.push(still.resume());
+            assert(peerName(still) === 'second', 'A failed reload keeps the current certificate');
+
+            // One device closes when the server ends the connection, the other
+            // keeps its side open until the deadline
+            const polite = new RemoteDeviceSimulator(1030, '8C:4F:00:A5:5C:A0', 'IGS03MP-v3.2.0');
+            await polite.connect(lifecycleServer.address('RC').port);
+            await polite.sendDeviceInfo();
+            let goodbye = '';
+            polite.socket.on('data', (data) => { goodbye += data.toString(); });
+            const stubborn = await new Promise((resolve) => {
+                const socket = net.connect({ port: lifecycleServer.address('RC').port, allowHalfOpen: true }, () => resolve(socket));
+            });
+            stubborn.on('error', () => {});
+            stubborn.resume();
+            sockets.push(polite.socket, stubborn);
+            await sleep(100);
+
+            const rcPort = lifecycleServer.address('RC').port;
+            const connected = lifecycleServer.sessions.size;
+            const started = Date.now();
+            const shutdown = lifecycleServer.shutdown();
+            await sleep(100);
+            assert(events.includes(`[SHUTDOWN] Server shutting down, closing ${connected} device connections within 0.8s`), 'Admins are told about the shutdown');
+            assert(goodbye.includes('SYS RECONNECT') && polite.socket.destroyed, 'Devices get the shutdown command and are disconnected');
+            const refused = await connectTcp(rcPort).then((socket) => { socket.destroy(); return false; }, () => true);
+            assert(refused, 'New connections are refused while shutting down');
+            assert(lifecycleServer.sessions.size === 1, 'Devices that do not close are kept until the deadline');
+            await shutdown;
+            await sleep(50); // Close events of the destroyed sockets
+            assert(Date.now() - started >= 750, 'Shutdown waits for the deadline');
+            assert(lifecycleServer.sessions.size === 0, 'Remaining connections are closed at the deadline');
+        } catch (e) {
+            assert(false, 'Reload and shutdown', e.message);
+        } finally {
+            sockets.forEach((socket) => socket.destroy());
+            await lifecycleServer.stop();
+            fs.rmSync(certDir, { recursive: true, force: true });
+        }
+
+        // Test 38: show command
+        console.log(`\n${colors.blue}--- Show Command Tests ---${colors.reset}`);
+        const showServer = createRemoteAdminServer({
+            logger: quietLogger,
+            config: embeddedConfig({
+                PORTS: { RC_TLS: 0 },
+                LISTENERS: { RC_TLS: true },
+                COMMAND_RESPONSE: { TIMEOUT: 300 },
+            }),
+        });
+        const shown = new RemoteDeviceSimulator(1031, '8C:4F:00:A5:5C:A1', 'IGS03MP-v3.2.0');
+        let tlsDevice = null;
+        try {
+            await showServer.start();
+            await shown.connect(showServer.address('RC').port);
+            await shown.sendDeviceInfo();
+            shown.socket.resume();
+            shown.socket.write('BLE_MAC=F64521CAA396\nWLAN_VERSION=2.0.1\n' + [1, 2, 3, 4, 5].map((i) => `SCAN ${i}`).join('\n') + '\n');
+            const admin = await connectTcp(showServer.address('ADMIN').port);
+            await sendCommand(admin, `cmd ${shown.mac} SYS PING`, 500);
+
+            const text = await sendCommand(admin, `show ${shown.mac} 3`, 100);
+            assert(/\[SHOW\] ID:\d+ 8C:4F:00:A5:5C:A1/.test(text) && text.includes('status: connect, identified'), 'show names the device and its status');
+            assert(text.includes('firmware: IGS03MP-v3.2.0  WLAN firmware: 2.0.1') && text.includes('BLE MAC: F64521CAA396  WiFi MAC: 8C:4F:00:A5:5C:A1'), 'show prints every parsed attribute');
+            assert(new RegExp(`connection: TCP on RC port ${showServer.address('RC').port} from \\S+ port ${shown.socket.localPort}`).test(text), 'show prints the listener and remote port');
+            assert(/in: \d+ bytes, 11 lines {2}out: \d+ bytes, 3 lines/.test(text), 'show counts bytes and lines in and out');
+            assert(text.includes('commands: 1 sent, 1 errors, 0 pending'), 'show counts commands and errors');
+            assert(/last 3 lines:\n\s+\S+ SCAN 3\n\s+\S+ SCAN 4\n\s+\S+ SCAN 5/.test(text), 'show lists the last lines received');
+
+            tlsDevice = await connectTls(showServer.address('RC_TLS').port);
+            tlsDevice.resume();
+            tlsDevice.write('8C:4F:00:A5:5C:A2\n');
+            await sleep(200);
+            const tlsText = await sendCommand(admin, 'show 8C4F00A55CA2', 100);
+            assert(/connection: TLS on RC_TLS port \d+/.test(tlsText) && /TLS: TLSv1\.[23] \S+/.test(tlsText), 'show prints the TLS version and cipher');
+
+            const missing = await sendCommand(admin, 'show 9999', 100);
+            assert(missing.includes('[CMD ERROR] Device 9999 not found.'), 'show reports unknown devices');
+
+            await sendCommand(admin, 'format json', 100);
+            const json = (await sendCommand(admin, `show ${shown.mac}`, 100)).split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l)).find((m) => m.type === 'session');
+            assert(json && json.session.linesIn === 11 && json.session.recentLines.length === 11 && json.session.tls === null, 'show in JSON mode returns the session with its recent lines');
+            admin.destroy();
+        } catch (e) {
+            assert(false, 'Show command', e.message);
+        } finally {
+            shown.disconnect();
+            if (tlsDevice) tlsDevice.destroy();
+            await showServer.stop();
+        }
+
+        // Test 39: Mutual TLS for devices with a generated CA
+        console.log(`\n${colors.blue}--- Device mTLS Tests ---${colors.reset}`);
+        const mtlsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-admin-mtls-'));
+        const pem = (name) => path.join(mtlsDir, name);
+        const openssl = (...args) => execFileSync('openssl', args, { stdio: 'ignore' });
+        // Device connection over TLS that announces mac, with the client certificate
+        // <cert>.key/.crt if given; resolves with the rejection reasons and whether it closed
+        const mtlsDevice = (server, mac, cert = null) => new Promise((resolve) => {
+            const rejections = [];
+            const onRejected = (session, reason) => rejections.push(reason);
+            server.on('session:rejected', onRejected);
+            const socket = tls.connect({
+                host: TEST_CONFIG.HOST,
+                port: server.address('RC_TLS').port,
+                rejectUnauthorized: false,
+                ...(cert && { key: fs.readFileSync(pem(`${cert}.key`)), cert: fs.readFileSync(pem(`${cert}.crt`)) }),
+            }, () => socket.write(`${mac}\n`));
+            let closed = false;
+            socket.on('error', () => {});
+            socket.on('close', () => { closed = true; });
+            socket.resume();
+            setTimeout(() => {
+                server.off('session:rejected', onRejected);
+                socket.destroy();
+                resolve({ closed, rejections, identified: Boolean(server.findSession(mac)) });
+            }, 300);
+        });
+        const mtlsConfig = (requireCert) => embeddedConfig({
+            PORTS: { RC_TLS: 0 },
+            LISTENERS: { RC_TLS: true },
+            TLS: { KEY_PATH: pem('server.key'), CERT_PATH: pem('server.crt') },
+            DEVICE_MTLS: { CA_PATH: pem('ca.crt'), REQUIRE_CERT: requireCert },
+        });
+        const strictServer = createRemoteAdminServer({ logger: quietLogger, config: mtlsConfig(true) });
+        const lenientServer = createRemoteAdminServer({ logger: quietLogger, config: mtlsConfig(false) });
+        try {
+            openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=Test Device CA', '-keyout', pem('ca.key'), '-out', pem('ca.crt'));
+            openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=localhost', '-keyout', pem('server.key'), '-out', pem('server.crt'));
+            openssl('req', '-newkey', 'rsa:2048', '-nodes', '-subj', '/CN=8C:4F:00:A5:5C:B1', '-keyout', pem('device.key'), '-out', pem('device.csr'));
+            openssl('x509', '-req', '-days', '1', '-in', pem('device.csr'), '-CA', pem('ca.crt'), '-CAkey', pem('ca.key'), '-CAcreateserial', '-out', pem('device.crt'));
+            // Signed by itself, not by the CA
+            openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=8C:4F:00:A5:5C:B3', '-keyout', pem('rogue.key'), '-out', pem('rogue.crt'));
+            await strictServer.start();
+            await lenientServer.start();
+
+            const trusted = await mtlsDevice(strictServer, '8C:4F:00:A5:5C:B1', 'device');
+            assert(trusted.identified && !trusted.closed, 'Device with a CA-signed certificate for its MAC is accepted');
+            const anonymous = await mtlsDevice(strictServer, '8C:4F:00:A5:5C:B2');
+            assert(!anonymous.identified && anonymous.closed, 'Device without a certificate is refused when REQUIRE_CERT is set');
+            const rogue = await mtlsDevice(strictServer, '8C:4F:00:A5:5C:B3', 'rogue');
+            assert(!rogue.identified && rogue.closed, 'Device with a certificate from another CA is refused');
+            const mismatched = await mtlsDevice(strictServer, '8C:4F:00:A5:5C:B4', 'device');
+            assert(!mismatched.identified && mismatched.rejections.some((reason) => reason.includes('8C:4F:00:A5:5C:B1') && reason.includes('does not match MAC')), 'Peer certificate reaches the policy and a mismatched MAC is rejected');
+
+            const optional = await mtlsDevice(lenientServer, '8C:4F:00:A5:5C:B2');
+            assert(optional.identified, 'Device without a certificate is accepted when REQUIRE_CERT is off');
+            const lenientMismatch = await mtlsDevice(lenientServer, '8C:4F:00:A5:5C:B4', 'device');
+            assert(!lenientMismatch.identified && lenientMismatch.rejections.length === 1, 'Certificate binding still applies when REQUIRE_CERT is off');
+        } catch (e) {
+            assert(false, 'Device mTLS', e.message);
+        } finally {
+            await strictServer.stop();
+            await lenientServer.stop();
+            fs.rmSync(mtlsDir, { recursive: true, force: true });
+        }
+
     } catch (e) {
         console.log(`${colors.red}Fatal error during tests:${colors.reset}`, e.message);
     }